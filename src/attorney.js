@@ -1,5 +1,5 @@
 const assert = require('node:assert')
-const { DEFAULT_SCHEMA } = require('./plans')
+const { DEFAULT_SCHEMA, DEPENDENCY_POLICIES, RETRY_STRATEGIES, JOB_STATES, UUID_PATTERN } = require('./plans')
 
 const POLICY = {
   MAX_EXPIRATION_HOURS: 24,
@@ -10,9 +10,17 @@ module.exports = {
   POLICY,
   getConfig,
   checkSendArgs,
+  checkInsertArgs,
+  checkFlowJob,
   checkQueueArgs,
   checkWorkArgs,
   checkFetchArgs,
+  checkOwnerOption,
+  checkWaitArgs,
+  checkRedriveArgs,
+  checkRerunArgs,
+  checkJobFilter,
+  checkFindJobsArgs,
   warnClockSkew,
   assertPostgresObjectName,
   assertQueueName
@@ -33,8 +41,26 @@ const WARNINGS = {
   }
 }
 
+function isUuid (value) {
+  return typeof value === 'string' && new RegExp(UUID_PATTERN, 'i').test(value)
+}
+
+function isRateLimit ({ count, perSeconds } = {}) {
+  return Number.isInteger(count) && count >= 1 && Number.isInteger(perSeconds) && perSeconds >= 1
+}
+
+function isWeights (weights) {
+  return typeof weights === 'object' && !Array.isArray(weights) && Object.values(weights).every(weight => typeof weight === 'number' && weight > 0)
+}
+
 function checkQueueArgs (name, options = {}) {
   assert(!('deadLetter' in options) || (typeof options.deadLetter === 'string'), 'deadLetter must be a string')
+  assert(!('concurrencyLimit' in options) || options.concurrencyLimit === null || (Number.isInteger(options.concurrencyLimit) && options.concurrencyLimit >= 1), 'concurrencyLimit must be an integer > 0 or null')
+  assert(!('keyConcurrencyLimit' in options) || options.keyConcurrencyLimit === null || (Number.isInteger(options.keyConcurrencyLimit) && options.keyConcurrencyLimit >= 1), 'keyConcurrencyLimit must be an integer > 0 or null')
+  assert(!('priorityAgingSeconds' in options) || options.priorityAgingSeconds === null || (Number.isInteger(options.priorityAgingSeconds) && options.priorityAgingSeconds >= 1), 'priorityAgingSeconds must be an integer > 0 or null')
+  assert(!('fairScheduling' in options) || typeof options.fairScheduling === 'boolean', 'fairScheduling must be a boolean')
+  assert(!('fairWeights' in options) || options.fairWeights === null || isWeights(options.fairWeights), 'fairWeights must be an object with number values > 0 or null')
+  assert(!('rateLimit' in options) || options.rateLimit === null || isRateLimit(options.rateLimit), 'rateLimit must be an object with integer count and perSeconds > 0 or null')
 
   applyRetryConfig(options)
   applyExpirationConfig(options)
@@ -80,6 +106,7 @@ function checkSendArgs (args, defaults) {
   applyRetryConfig(options, defaults)
   applyExpirationConfig(options, defaults)
   applyRetentionConfig(options, defaults)
+  applyDependencyConfig(options)
 
   const { startAfter, singletonSeconds, singletonMinutes, singletonHours } = options
 
@@ -108,6 +135,22 @@ function checkSendArgs (args, defaults) {
   return { name, data, options }
 }
 
+function checkInsertArgs (jobs) {
+  assert(Array.isArray(jobs), 'jobs argument should be an array')
+
+  for (const job of jobs) {
+    assert(job && typeof job === 'object', 'jobs should be objects')
+    checkDependencyOptions(job)
+  }
+}
+
+// flow jobs use the insert() contract, so their options are checked as send() options
+function checkFlowJob (job, defaults) {
+  assert(!job.id || isUuid(job.id), 'flow job ids must be uuids')
+
+  checkSendArgs([job.name, job.data, job], defaults)
+}
+
 function checkWorkArgs (name, args, defaults) {
   let options, callback
 
@@ -129,10 +172,14 @@ function checkWorkArgs (name, args, defaults) {
   applyPollingInterval(options, defaults)
 
   assert(!('batchSize' in options) || (Number.isInteger(options.batchSize) && options.batchSize >= 1), 'batchSize must be an integer > 0')
+  assert(!('localConcurrency' in options) || (Number.isInteger(options.localConcurrency) && options.localConcurrency >= 1), 'localConcurrency must be an integer > 0')
   assert(!('includeMetadata' in options) || typeof options.includeMetadata === 'boolean', 'includeMetadata must be a boolean')
   assert(!('priority' in options) || typeof options.priority === 'boolean', 'priority must be a boolean')
+  assert(!('heartbeatIntervalSeconds' in options) || (Number.isInteger(options.heartbeatIntervalSeconds) && options.heartbeatIntervalSeconds >= 1), 'heartbeatIntervalSeconds must be an integer > 0')
+  assert(!('progressIntervalSeconds' in options) || (typeof options.progressIntervalSeconds === 'number' && options.progressIntervalSeconds > 0), 'progressIntervalSeconds must be a number > 0')
 
   options.batchSize = options.batchSize || 1
+  options.localConcurrency = options.localConcurrency || 1
 
   return { options, callback }
 }
@@ -147,6 +194,112 @@ function checkFetchArgs (name, options) {
   options.batchSize = options.batchSize || 1
 }
 
+// complete() and fail() only affect jobs whose owner contains these properties
+function checkOwnerOption (options) {
+  assert(!('owner' in options) || (options.owner !== null && typeof options.owner === 'object' && !Array.isArray(options.owner)), 'owner must be an object')
+
+  return options.owner ? JSON.stringify(options.owner) : null
+}
+
+function checkWaitArgs (options) {
+  assert(typeof options === 'object', 'wait options should be an object')
+  assert(!('timeout' in options) || (Number.isInteger(options.timeout) && options.timeout >= 1), 'timeout must be an integer > 0')
+
+  return { timeout: options.timeout || 30000 }
+}
+
+function checkRedriveArgs (options) {
+  assert(typeof options === 'object', 'redrive options should be an object')
+  assert(!options.filter || typeof options.filter === 'object', 'filter must be an object')
+  assert(!('limit' in options) || (Number.isInteger(options.limit) && options.limit >= 1), 'limit must be an integer > 0')
+
+  if (options.targetQueue) {
+    assertQueueName(options.targetQueue)
+  }
+
+  return {
+    filter: options.filter || null,
+    targetQueue: options.targetQueue || null,
+    limit: options.limit || null
+  }
+}
+
+function checkRerunArgs (options) {
+  assert(typeof options === 'object', 'rerun options should be an object')
+
+  const { fromArchive = false, overrides = {} } = options
+
+  assert(typeof fromArchive === 'boolean', 'fromArchive must be a boolean')
+  assert(overrides && typeof overrides === 'object' && !Array.isArray(overrides), 'overrides must be an object')
+  assert(!('id' in overrides) && !('name' in overrides), 'overrides cannot change the id or name of a job')
+  assert(!('priority' in overrides) || Number.isInteger(overrides.priority), 'priority must be an integer')
+
+  applyRetryConfig({ ...overrides })
+
+  return { fromArchive, overrides: JSON.stringify(overrides) }
+}
+
+function isTimestamp (value) {
+  return (value instanceof Date && !isNaN(value)) || (typeof value === 'string' && !isNaN(Date.parse(value)))
+}
+
+// bulk operations require at least one criterion so that an empty filter can't affect every job in a queue
+function checkJobFilter (where, { required = true } = {}) {
+  assert(where && typeof where === 'object', 'a filter object is required')
+
+  const { state, singletonKey, data } = where
+  const since = where.since || where.createdAfter
+  const until = where.until || where.createdBefore
+  const states = (state === undefined || state === null) ? null : [].concat(state)
+
+  assert(!states || (states.length && states.every(i => i in JOB_STATES)), `state must be one of ${Object.keys(JOB_STATES).join(', ')}`)
+  assert(!singletonKey || typeof singletonKey === 'string', 'singletonKey must be a string')
+  assert(!data || typeof data === 'object', 'data must be an object')
+  assert(!since || isTimestamp(since), 'since must be a Date or a date string')
+  assert(!until || isTimestamp(until), 'until must be a Date or a date string')
+
+  const toISO = value => value instanceof Date ? value.toISOString() : value
+
+  const params = [
+    states,
+    singletonKey || null,
+    data ? JSON.stringify(data) : null,
+    since ? toISO(since) : null,
+    until ? toISO(until) : null
+  ]
+
+  assert(!required || params.some(i => i !== null), 'filter requires at least one of state, singletonKey, data, since or until')
+
+  return params
+}
+
+function checkFindJobsArgs (options) {
+  assert(typeof options === 'object', 'findJobs options should be an object')
+
+  const { includeArchive = false, orderBy = 'newest', limit = 100, cursor } = options
+
+  assert(orderBy === 'newest' || orderBy === 'oldest', 'orderBy must be newest or oldest')
+  assert(Number.isInteger(limit) && limit >= 1, 'limit must be an integer > 0')
+
+  let after = [null, null]
+
+  if (cursor) {
+    try {
+      after = JSON.parse(Buffer.from(cursor, 'base64url').toString())
+    } catch {}
+
+    assert(Array.isArray(after) && after.length === 2 && after.every(i => typeof i === 'string'), 'cursor is not valid')
+  }
+
+  return {
+    filter: checkJobFilter(options, { required: false }),
+    includeArchive: !!includeArchive,
+    ascending: orderBy === 'oldest',
+    limit,
+    after
+  }
+}
+
 function getConfig (value) {
   assert(value && (typeof value === 'object' || typeof value === 'string'),
     'configuration assert: string or config object is required to connect to postgres')
@@ -167,6 +320,9 @@ function getConfig (value) {
   applyMonitoringConfig(config)
 
   applyPollingInterval(config)
+  applyNotifyConfig(config)
+  applyJobEventsConfig(config)
+  applyJobHistoryConfig(config)
   applyExpirationConfig(config)
   applyRetentionConfig(config)
 
@@ -276,12 +432,50 @@ function applyRetryConfig (config, defaults) {
   assert(!('retryDelay' in config) || (Number.isInteger(config.retryDelay) && config.retryDelay >= 0), 'retryDelay must be an integer >= 0')
   assert(!('retryLimit' in config) || (Number.isInteger(config.retryLimit) && config.retryLimit >= 0), 'retryLimit must be an integer >= 0')
   assert(!('retryBackoff' in config) || (config.retryBackoff === true || config.retryBackoff === false), 'retryBackoff must be either true or false')
+  assert(!('retryStrategy' in config) || config.retryStrategy === null || Object.values(RETRY_STRATEGIES).includes(config.retryStrategy),
+    `retryStrategy must be one of: ${Object.values(RETRY_STRATEGIES).join(', ')}`)
+  assert(!('retryDelayMax' in config) || config.retryDelayMax === null || (Number.isInteger(config.retryDelayMax) && config.retryDelayMax >= 1), 'retryDelayMax must be an integer > 0')
+  assert(!('retryDelays' in config) || config.retryDelays === null || isDelays(config.retryDelays), 'retryDelays must be an array of integers >= 0')
+
+  if (config.retryDelays && !('retryLimit' in config)) {
+    config.retryLimit = config.retryDelays.length
+  }
 
   config.retryDelayDefault = defaults?.retryDelay
   config.retryLimitDefault = defaults?.retryLimit
   config.retryBackoffDefault = defaults?.retryBackoff
 }
 
+function isDelays (delays) {
+  return Array.isArray(delays) && delays.length > 0 && delays.every(delay => Number.isInteger(delay) && delay >= 0)
+}
+
+function checkDependencyOptions (options) {
+  assert(!('dependsOn' in options) || Array.isArray(options.dependsOn), 'dependsOn must be an array')
+
+  if (options.dependsOn) {
+    for (const dependency of options.dependsOn) {
+      assert(dependency && typeof dependency.name === 'string' && typeof dependency.id === 'string', 'dependsOn items require a name and an id')
+      assert(isUuid(dependency.id), `dependsOn id ${dependency.id} is not a valid UUID`)
+    }
+  }
+
+  assert(!('dependencyPolicy' in options) || Object.values(DEPENDENCY_POLICIES).includes(options.dependencyPolicy),
+    `dependencyPolicy must be one of: ${Object.values(DEPENDENCY_POLICIES).join(', ')}`)
+}
+
+function applyDependencyConfig (options) {
+  checkDependencyOptions(options)
+
+  if (options.dependsOn?.length) {
+    options.dependsOn = options.dependsOn.map(({ name, id }) => ({ name, id }))
+    options.dependencyPolicy = options.dependencyPolicy || DEPENDENCY_POLICIES.fail
+  } else {
+    options.dependsOn = null
+    options.dependencyPolicy = null
+  }
+}
+
 function applyPollingInterval (config, defaults) {
   assert(!('pollingIntervalSeconds' in config) || config.pollingIntervalSeconds >= POLICY.MIN_POLLING_INTERVAL_MS / 1000,
     `configuration assert: pollingIntervalSeconds must be at least every ${POLICY.MIN_POLLING_INTERVAL_MS}ms`)
@@ -291,6 +485,27 @@ function applyPollingInterval (config, defaults) {
     : defaults?.pollingInterval || 2000
 }
 
+function applyNotifyConfig (config) {
+  assert(!('notifyWorkers' in config) || typeof config.notifyWorkers === 'boolean',
+    'configuration assert: notifyWorkers must be a boolean')
+
+  config.notifyWorkers = config.notifyWorkers || false
+}
+
+function applyJobEventsConfig (config) {
+  assert(!('jobEvents' in config) || [true, false, 'local', 'cluster'].includes(config.jobEvents),
+    'configuration assert: jobEvents must be a boolean, local or cluster')
+
+  config.jobEvents = config.jobEvents === true ? 'local' : (config.jobEvents || false)
+}
+
+function applyJobHistoryConfig (config) {
+  assert(!('jobHistory' in config) || typeof config.jobHistory === 'boolean',
+    'configuration assert: jobHistory must be a boolean')
+
+  config.jobHistory = config.jobHistory || false
+}
+
 function applyMaintenanceConfig (config) {
   assert(!('maintenanceIntervalSeconds' in config) || config.maintenanceIntervalSeconds >= 1,
     'configuration assert: maintenanceIntervalSeconds must be at least every second')
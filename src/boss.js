@@ -21,7 +21,8 @@ class Boss extends EventEmitter {
 
     this.events = events
 
-    this.failJobsByTimeoutCommand = plans.locked(config.schema, plans.failJobsByTimeout(config.schema))
+    this.failJobsByTimeoutCommand = plans.locked(config.schema, plans.failJobsByTimeout(config.schema, { events: !!config.jobEvents, history: config.jobHistory }))
+    this.failJobsByDependencyCommand = plans.locked(config.schema, plans.failJobsByDependency(config.schema, { events: !!config.jobEvents, history: config.jobHistory }))
     this.archiveCommand = plans.locked(config.schema, plans.archive(config.schema, config.archiveInterval, config.archiveFailedInterval))
     this.dropCommand = plans.locked(config.schema, plans.drop(config.schema, config.deleteAfter))
     this.trySetMaintenanceTimeCommand = plans.trySetMaintenanceTime(config.schema)
@@ -116,6 +117,7 @@ class Boss extends EventEmitter {
     const started = Date.now()
 
     !this.stopped && await this.expire()
+    !this.stopped && await this.failDependents()
     !this.stopped && await this.archive()
     !this.stopped && await this.drop()
 
@@ -161,7 +163,23 @@ class Boss extends EventEmitter {
   }
 
   async expire () {
-    await this.db.executeSql(this.failJobsByTimeoutCommand)
+    const results = await this.db.executeSql(this.failJobsByTimeoutCommand)
+
+    if (this.config.jobEvents && Array.isArray(results)) {
+      // locked commands return a result for each statement, and the last one before COMMIT is the command's
+      const [{ events }] = results.at(-2).rows
+      await this.manager.emitJobEvents(this.manager.events.jobExpired, events)
+    }
+  }
+
+  async failDependents () {
+    const results = await this.db.executeSql(this.failJobsByDependencyCommand)
+
+    if (this.config.jobEvents && Array.isArray(results)) {
+      const { events, getFailedJobEvent } = this.manager
+      const [{ events: jobs }] = results.at(-2).rows
+      await this.manager.emitJobEvents(job => job.state === plans.JOB_STATES.cancelled ? events.jobCancelled : getFailedJobEvent(job), jobs)
+    }
   }
 
   async archive () {
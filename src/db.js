@@ -1,5 +1,6 @@
 const EventEmitter = require('node:events')
 const pg = require('pg')
+const { delay } = require('./tools')
 
 class Db extends EventEmitter {
   constructor (config) {
@@ -8,6 +9,8 @@ class Db extends EventEmitter {
     config.application_name = config.application_name || 'pgboss'
 
     this.config = config
+    this.channels = new Set()
+    this.listener = null
   }
 
   events = {
@@ -23,6 +26,16 @@ class Db extends EventEmitter {
   async close () {
     if (!this.pool.ending) {
       this.opened = false
+
+      if (this.reconnectDelayPromise) {
+        this.reconnectDelayPromise.abort()
+      }
+
+      if (this.listener) {
+        const client = await this.listener.catch(() => null)
+        await client?.end()
+      }
+
       await this.pool.end()
     }
   }
@@ -42,6 +55,77 @@ class Db extends EventEmitter {
       return await this.pool.query(text, values)
     }
   }
+
+  async listen (channel) {
+    if (!this.opened) {
+      return
+    }
+
+    this.channels.add(channel)
+
+    const client = await this.getListener()
+
+    await client.query(`LISTEN ${client.escapeIdentifier(channel)}`)
+  }
+
+  async unlisten (channel) {
+    this.channels.delete(channel)
+
+    if (this.opened && this.listener) {
+      const client = await this.listener
+      await client.query(`UNLISTEN ${client.escapeIdentifier(channel)}`)
+    }
+  }
+
+  getListener () {
+    if (!this.listener) {
+      const listener = this.connectListener()
+
+      // allow the next listen() to try again if the connection could not be established
+      listener.catch(() => {
+        if (this.listener === listener) {
+          this.listener = null
+        }
+      })
+
+      this.listener = listener
+    }
+
+    return this.listener
+  }
+
+  async connectListener () {
+    // LISTEN requires a dedicated session, so it can't be shared with the pool
+    const client = new pg.Client(this.config)
+
+    client.on('notification', ({ channel, payload }) => this.emit('notification', { channel, payload }))
+    client.on('error', error => this.emit('error', error))
+    client.on('end', () => this.onListenerEnd())
+
+    await client.connect()
+
+    return client
+  }
+
+  async onListenerEnd () {
+    this.listener = null
+
+    while (this.opened && this.channels.size) {
+      this.reconnectDelayPromise = delay(1000)
+      await this.reconnectDelayPromise
+      this.reconnectDelayPromise = null
+
+      try {
+        for (const channel of this.channels) {
+          await this.listen(channel)
+        }
+
+        return
+      } catch (err) {
+        this.emit('error', err)
+      }
+    }
+  }
 }
 
 module.exports = Db
@@ -6,7 +6,7 @@ const Manager = require('./manager')
 const Timekeeper = require('./timekeeper')
 const Boss = require('./boss')
 const Db = require('./db')
-const { delay } = require('./tools')
+const { delay, UnrecoverableError } = require('./tools')
 
 const events = {
   error: 'error',
@@ -38,6 +38,7 @@ class PgBoss extends EventEmitter {
 
   static states = plans.JOB_STATES
   static policies = plans.QUEUE_POLICIES
+  static UnrecoverableError = UnrecoverableError
 
   constructor (value) {
     super()
@@ -123,7 +124,7 @@ class PgBoss extends EventEmitter {
       await this.#contractor.check()
     }
 
-    this.#manager.start()
+    await this.#manager.start()
 
     if (this.#config.supervise) {
       await this.#boss.supervise()
@@ -149,7 +150,7 @@ class PgBoss extends EventEmitter {
       return
     }
 
-    let { close = true, graceful = true, timeout = 30000, wait = true } = options
+    let { close = true, graceful = true, timeout = 30000, wait = true, release = false } = options
 
     timeout = Math.max(timeout, 1000)
 
@@ -166,7 +167,11 @@ class PgBoss extends EventEmitter {
             throw new Error(this.#config.__test__throw_shutdown)
           }
 
-          await this.#manager.failWip()
+          if (release) {
+            await this.#manager.releaseWip()
+          } else {
+            await this.#manager.failWip()
+          }
 
           if (this.#db.isOurs && this.#db.opened && close) {
             await this.#db.close()
@@ -1,6 +1,7 @@
 const assert = require('node:assert')
 const EventEmitter = require('node:events')
-const { randomUUID } = require('node:crypto')
+const os = require('node:os')
+const { randomUUID, createHash } = require('node:crypto')
 const { serializeError: stringify } = require('serialize-error')
 const { delay } = require('./tools')
 const Attorney = require('./attorney')
@@ -8,25 +9,63 @@ const Worker = require('./worker')
 const plans = require('./plans')
 
 const { QUEUES: TIMEKEEPER_QUEUES } = require('./timekeeper')
-const { QUEUE_POLICIES } = plans
+const { QUEUE_POLICIES, DEPENDENCY_POLICIES } = plans
 
 const INTERNAL_QUEUES = Object.values(TIMEKEEPER_QUEUES).reduce((acc, i) => ({ ...acc, [i]: i }), {})
 
 const events = {
   error: 'error',
-  wip: 'wip'
+  wip: 'wip',
+  jobActive: 'job-active',
+  jobCompleted: 'job-completed',
+  jobFailed: 'job-failed',
+  jobRetry: 'job-retry',
+  jobExpired: 'job-expired',
+  jobCancelled: 'job-cancelled'
 }
 
-const resolveWithinSeconds = async (promise, seconds) => {
+const JOB_EVENTS_CLUSTER = 'cluster'
+
+const NOTIFY_BATCH_SIZE = 100
+const NOTIFY_PAYLOAD_SIZE = 7000
+
+const createExpiration = (seconds) => {
   const timeout = Math.max(1, seconds) * 1000
-  const reject = delay(timeout, `handler execution exceeded ${timeout}ms`)
 
+  let timer
+  let ended = false
+  let expire
+
+  const promise = new Promise((resolve, reject) => { expire = reject })
+
+  // restarts the countdown, used by heartbeats to extend the lease
+  const extend = () => {
+    if (ended) {
+      return
+    }
+
+    timer?.abort()
+    timer = delay(timeout, `handler execution exceeded ${timeout}ms`)
+    timer.catch(expire)
+  }
+
+  const end = () => {
+    ended = true
+    timer.abort()
+  }
+
+  extend()
+
+  return { promise, extend, end }
+}
+
+const resolveWithinExpiration = async (promise, expiration) => {
   let result
 
   try {
-    result = await Promise.race([promise, reject])
+    result = await Promise.race([promise, expiration.promise])
   } finally {
-    reject.abort()
+    expiration.end()
   }
 
   return result
@@ -42,17 +81,42 @@ class Manager extends EventEmitter {
     this.events = events
     this.wipTs = Date.now()
     this.workers = new Map()
+    this.channels = new Map()
+    this.abortControllers = new Map()
+    this.jobProgress = new Map()
+    this.waiters = new Map()
+    this.shutdownJobs = new Set()
 
-    this.nextJobCommand = plans.fetchNextJob(config.schema)
+    // recorded on jobs fetched by this instance
+    this.owner = { instanceId: randomUUID(), hostname: os.hostname(), pid: process.pid }
+
+    const jobEvents = !!config.jobEvents
+    const history = config.jobHistory
+
+    this.nextJobCommand = plans.fetchNextJob(config.schema, { history })
     this.insertJobCommand = plans.insertJob(config.schema)
     this.insertJobsCommand = plans.insertJobs(config.schema)
-    this.completeJobsCommand = plans.completeJobs(config.schema)
-    this.cancelJobsCommand = plans.cancelJobs(config.schema)
-    this.resumeJobsCommand = plans.resumeJobs(config.schema)
+    this.insertFlowCommand = plans.insertJobs(config.schema, { strict: true })
+    this.redriveJobsCommand = plans.redriveJobs(config.schema)
+    this.rerunJobCommand = plans.rerunJob(config.schema)
+    this.completeJobsCommand = plans.completeJobs(config.schema, { events: jobEvents, history })
+    this.touchJobsCommand = plans.touchJobs(config.schema)
+    this.progressJobsCommand = plans.progressJobs(config.schema)
+    this.releaseJobsCommand = plans.releaseJobs(config.schema, { history })
+    this.cancelJobsCommand = plans.cancelJobs(config.schema, { events: jobEvents, history })
+    this.resumeJobsCommand = plans.resumeJobs(config.schema, { history })
     this.deleteJobsCommand = plans.deleteJobs(config.schema)
-    this.failJobsByIdCommand = plans.failJobsById(config.schema)
+    this.failJobsByIdCommand = plans.failJobsById(config.schema, { events: jobEvents, history })
+    this.completeJobsByFilterCommand = plans.completeJobs(config.schema, { filter: true, events: jobEvents, history })
+    this.cancelJobsByFilterCommand = plans.cancelJobs(config.schema, { filter: true, events: jobEvents, history })
+    this.resumeJobsByFilterCommand = plans.resumeJobs(config.schema, { filter: true, history })
+    this.deleteJobsByFilterCommand = plans.deleteJobs(config.schema, { filter: true })
+    this.failJobsByFilterCommand = plans.failJobsByFilter(config.schema, { events: jobEvents, history })
+    this.retryJobsCommand = plans.retryJobs(config.schema, { history })
     this.getJobByIdCommand = plans.getJobById(config.schema)
     this.getArchivedJobByIdCommand = plans.getArchivedJobById(config.schema)
+    this.getJobHistoryCommand = plans.getJobHistory(config.schema)
+    this.findJobsCommand = plans.findJobs(config.schema)
     this.subscribeCommand = plans.subscribe(config.schema)
     this.unsubscribeCommand = plans.unsubscribe(config.schema)
     this.getQueuesCommand = plans.getQueues(config.schema)
@@ -60,9 +124,15 @@ class Manager extends EventEmitter {
     this.getQueuesForEventCommand = plans.getQueuesForEvent(config.schema)
     this.createQueueCommand = plans.createQueue(config.schema)
     this.updateQueueCommand = plans.updateQueue(config.schema)
+    this.setQueuePausedCommand = plans.setQueuePaused(config.schema)
     this.purgeQueueCommand = plans.purgeQueue(config.schema)
     this.deleteQueueCommand = plans.deleteQueue(config.schema)
     this.clearStorageCommand = plans.clearStorage(config.schema)
+    this.notifyCommand = plans.notify()
+
+    if ((config.notifyWorkers || config.jobEvents === JOB_EVENTS_CLUSTER) && typeof db.listen === 'function') {
+      db.on('notification', notification => this.onNotification(notification))
+    }
 
     // exported api to index
     this.functions = [
@@ -70,7 +140,15 @@ class Manager extends EventEmitter {
       this.cancel,
       this.resume,
       this.deleteJob,
+      this.touch,
+      this.progress,
       this.fail,
+      this.completeJobs,
+      this.cancelJobs,
+      this.resumeJobs,
+      this.deleteJobs,
+      this.failJobs,
+      this.retryJobs,
       this.fetch,
       this.work,
       this.offWork,
@@ -79,24 +157,40 @@ class Manager extends EventEmitter {
       this.subscribe,
       this.unsubscribe,
       this.insert,
+      this.sendFlow,
+      this.sendAndWait,
+      this.redrive,
+      this.rerun,
       this.send,
       this.sendDebounced,
       this.sendThrottled,
       this.sendAfter,
       this.createQueue,
       this.updateQueue,
+      this.pauseQueue,
+      this.resumeQueue,
       this.deleteQueue,
       this.purgeQueue,
       this.getQueueSize,
       this.getQueue,
       this.getQueues,
       this.clearStorage,
-      this.getJobById
+      this.getJobById,
+      this.getJobHistory,
+      this.findJobs
     ]
   }
 
-  start () {
+  async start () {
     this.stopped = false
+
+    if (this.config.jobEvents === JOB_EVENTS_CLUSTER && typeof this.db.listen === 'function') {
+      try {
+        await this.db.listen(this.getJobEventsChannel())
+      } catch (err) {
+        this.emit(events.error, err)
+      }
+    }
   }
 
   async stop () {
@@ -113,11 +207,50 @@ class Manager extends EventEmitter {
     for (const worker of this.workers.values()) {
       const jobIds = worker.jobs.map(j => j.id)
       if (jobIds.length) {
+        this.endJobsByShutdown(jobIds)
         await this.fail(worker.name, jobIds, 'pg-boss shut down while active')
       }
     }
   }
 
+  async releaseWip () {
+    for (const worker of this.workers.values()) {
+      const jobIds = worker.jobs.map(j => j.id)
+      if (jobIds.length) {
+        this.endJobsByShutdown(jobIds)
+
+        const { rows } = await this.db.executeSql(this.releaseJobsCommand, [worker.name, jobIds])
+        const released = new Set(rows.map(i => i.id))
+
+        // jobs blocked by a queue policy from returning to the queue are failed instead
+        const unreleased = jobIds.filter(id => !released.has(id))
+
+        if (unreleased.length) {
+          await this.fail(worker.name, unreleased, 'pg-boss shut down while active')
+        }
+      }
+    }
+  }
+
+  // jobs failed or released by shutdown are left alone when their handlers settle afterwards
+  endJobsByShutdown (ids) {
+    for (const id of ids) {
+      this.shutdownJobs.add(id)
+    }
+
+    this.abortJobs(ids, new Error('pg-boss shut down while active'))
+  }
+
+  abortJobs (ids, reason) {
+    for (const id of ids) {
+      const controller = this.abortControllers.get(id)
+
+      if (controller && !controller.signal.aborted) {
+        controller.abort(reason)
+      }
+    }
+  }
+
   async work (name, ...args) {
     const { options, callback } = Attorney.checkWorkArgs(name, args, this.config)
     return await this.watch(name, options, callback)
@@ -129,6 +262,7 @@ class Manager extends EventEmitter {
 
   removeWorker (worker) {
     this.workers.delete(worker.id)
+    this.releaseChannel(worker.name)
   }
 
   getWorkers () {
@@ -161,7 +295,8 @@ class Manager extends EventEmitter {
         lastJobStartedOn,
         lastJobEndedOn,
         lastError,
-        lastErrorOn
+        lastErrorOn,
+        slots
       }) => ({
         id,
         name,
@@ -173,7 +308,25 @@ class Manager extends EventEmitter {
         lastJobStartedOn,
         lastJobEndedOn,
         lastError,
-        lastErrorOn
+        lastErrorOn,
+        progress: jobs
+          .filter(job => this.jobProgress.has(job.id))
+          .map(job => ({ id: job.id, value: this.jobProgress.get(job.id) })),
+        slots: slots.map(({
+          index,
+          state,
+          jobs,
+          lastFetchedOn,
+          lastJobStartedOn,
+          lastJobEndedOn
+        }) => ({
+          index,
+          state,
+          count: jobs.length,
+          lastFetchedOn,
+          lastJobStartedOn,
+          lastJobEndedOn
+        }))
       }))
       .filter(i => i.count > 0 && (!INTERNAL_QUEUES[i.name] || includeInternal))
 
@@ -188,13 +341,16 @@ class Manager extends EventEmitter {
     const {
       pollingInterval: interval = this.config.pollingInterval,
       batchSize,
+      localConcurrency: concurrency,
       includeMetadata = false,
-      priority = true
+      priority = true,
+      heartbeatIntervalSeconds,
+      progressIntervalSeconds
     } = options
 
     const id = randomUUID({ disableEntropyCache: true })
 
-    const fetch = () => this.fetch(name, { batchSize, includeMetadata, priority })
+    const fetch = () => this.fetch(name, { batchSize, includeMetadata, priority, workerId: id })
 
     const onFetch = async (jobs) => {
       if (!jobs.length) {
@@ -209,12 +365,60 @@ class Manager extends EventEmitter {
 
       const maxExpiration = jobs.reduce((acc, i) => Math.max(acc, i.expireInSeconds), 0)
       const jobIds = jobs.map(job => job.id)
+      const expiration = createExpiration(maxExpiration)
+
+      expiration.promise.catch(err => this.abortJobs(jobIds, err))
+
+      const heartbeat = async (ids) => {
+        const result = await this.touch(name, ids)
+
+        if (result.affected) {
+          expiration.extend()
+        }
+
+        return result
+      }
+
+      for (const job of jobs) {
+        const controller = new AbortController()
+        this.abortControllers.set(job.id, controller)
+        job.signal = controller.signal
+        job.heartbeat = () => heartbeat(job.id)
+        job.reportProgress = this.createProgressReporter(name, job.id, progressIntervalSeconds, onError)
+      }
+
+      // throttled progress is written before the job is completed or failed
+      const flushProgress = () => Promise.all(jobs.map(job => job.reportProgress.flush()))
+
+      const heartbeatInterval = heartbeatIntervalSeconds
+        ? setInterval(() => heartbeat(jobIds).catch(onError), heartbeatIntervalSeconds * 1000)
+        : null
+
+      const activeJobIds = () => jobIds.filter(id => !this.shutdownJobs.has(id))
 
       try {
-        const result = await resolveWithinSeconds(callback(jobs), maxExpiration)
-        this.complete(name, jobIds, jobIds.length === 1 ? result : undefined)
+        const result = await resolveWithinExpiration(callback(jobs), expiration)
+        await flushProgress()
+        const ids = activeJobIds()
+
+        if (ids.length) {
+          this.complete(name, ids, jobIds.length === 1 ? result : undefined)
+        }
       } catch (err) {
-        this.fail(name, jobIds, err)
+        await flushProgress()
+        const ids = activeJobIds()
+
+        if (ids.length) {
+          this.fail(name, ids, err)
+        }
+      } finally {
+        clearInterval(heartbeatInterval)
+
+        for (const id of jobIds) {
+          this.abortControllers.delete(id)
+          this.jobProgress.delete(id)
+          this.shutdownJobs.delete(id)
+        }
       }
 
       this.emitWip(name)
@@ -224,7 +428,9 @@ class Manager extends EventEmitter {
       this.emit(events.error, { ...error, message: error.message, stack: error.stack, queue: name, worker: id })
     }
 
-    const worker = new Worker({ id, name, options, interval, fetch, onFetch, onError })
+    const worker = new Worker({ id, name, options, interval, concurrency, fetch, onFetch, onError })
+
+    await this.listen(name)
 
     this.addWorker(worker)
 
@@ -271,6 +477,207 @@ class Manager extends EventEmitter {
     }
   }
 
+  getChannel (name) {
+    return 'n' + createHash('sha224').update(`${this.config.schema}.${name}`).digest('hex')
+  }
+
+  async listen (name) {
+    if (!this.config.notifyWorkers || typeof this.db.listen !== 'function') {
+      return
+    }
+
+    const channel = this.getChannel(name)
+
+    if (this.channels.has(channel)) {
+      return
+    }
+
+    this.channels.set(channel, name)
+
+    try {
+      await this.db.listen(channel)
+    } catch (err) {
+      // workers keep polling if notifications are unavailable
+      this.channels.delete(channel)
+      this.emit(events.error, err)
+    }
+  }
+
+  async unlisten (name) {
+    const channel = this.getChannel(name)
+
+    if (!this.channels.delete(channel)) {
+      return
+    }
+
+    try {
+      await this.db.unlisten(channel)
+    } catch (err) {
+      this.emit(events.error, err)
+    }
+  }
+
+  // stops listening once a queue has no workers or waiters left in this instance
+  async releaseChannel (name) {
+    const inUse = this.getWorkers().some(i => i.name === name) ||
+      Array.from(this.waiters.values()).some(i => i.name === name)
+
+    if (!inUse) {
+      await this.unlisten(name)
+    }
+  }
+
+  onNotification ({ channel, payload }) {
+    if (channel === this.getJobEventsChannel()) {
+      return this.onJobEventsNotification(payload)
+    }
+
+    const name = this.channels.get(channel)
+
+    if (!name) {
+      return
+    }
+
+    // an empty payload means jobs were created, otherwise it's a list of job ids that were finished,
+    // or { cancelled } with the ids of cancelled jobs so that they are also aborted if they are running in this instance
+    if (!payload) {
+      for (const worker of this.getWorkers()) {
+        if (worker.name === name) {
+          worker.notify()
+        }
+      }
+
+      return
+    }
+
+    let message
+
+    try {
+      message = JSON.parse(payload)
+    } catch {
+      return
+    }
+
+    const cancelled = Array.isArray(message?.cancelled) ? message.cancelled : []
+    const ids = Array.isArray(message) ? message : cancelled
+
+    for (const id of ids) {
+      const waiter = this.waiters.get(id)
+
+      if (waiter) {
+        waiter.notify()
+      }
+    }
+
+    this.abortJobs(cancelled, new Error('job cancelled'))
+  }
+
+  async notifyQueue (name, db = this.db, payload = '') {
+    if (this.config.notifyWorkers) {
+      await db.executeSql(this.notifyCommand, [this.getChannel(name), payload])
+    }
+  }
+
+  getJobEventsChannel () {
+    return 'e' + createHash('sha224').update(`${this.config.schema}.job-events`).digest('hex')
+  }
+
+  // job events are emitted by the instance that changed the jobs, or by every instance listening in cluster mode
+  async emitJobEvents (event, jobs, db = this.db) {
+    if (!this.config.jobEvents || !jobs?.length) {
+      return
+    }
+
+    const payloads = jobs
+      .filter(job => !INTERNAL_QUEUES[job.name])
+      .map(job => this.mapJobEvent(typeof event === 'function' ? event(job) : event, job))
+
+    if (this.config.jobEvents !== JOB_EVENTS_CLUSTER) {
+      for (const { event, ...payload } of payloads) {
+        this.emitJobEvent(event, payload)
+      }
+
+      return
+    }
+
+    try {
+      // keeps each payload under the 8000 byte NOTIFY limit
+      let batch = []
+      let size = 0
+
+      for (const payload of payloads) {
+        const length = Buffer.byteLength(JSON.stringify(payload))
+
+        if (batch.length && size + length > NOTIFY_PAYLOAD_SIZE) {
+          await db.executeSql(this.notifyCommand, [this.getJobEventsChannel(), JSON.stringify(batch)])
+          batch = []
+          size = 0
+        }
+
+        batch.push(payload)
+        size += length + 1
+      }
+
+      if (batch.length) {
+        await db.executeSql(this.notifyCommand, [this.getJobEventsChannel(), JSON.stringify(batch)])
+      }
+    } catch (err) {
+      this.emit(events.error, err)
+    }
+  }
+
+  mapJobEvent (event, { id, name, state, duration = null, output }) {
+    const payload = { event, id, name, state, duration }
+
+    if (event === events.jobFailed || event === events.jobRetry || event === events.jobExpired) {
+      payload.error = output ?? null
+
+      // errors are trimmed to their message if they don't fit in a notification
+      if (this.config.jobEvents === JOB_EVENTS_CLUSTER && Buffer.byteLength(JSON.stringify(payload)) > NOTIFY_PAYLOAD_SIZE) {
+        payload.error = { message: String(output?.message ?? output?.value?.message ?? '').slice(0, 1000) }
+      }
+    }
+
+    return payload
+  }
+
+  onJobEventsNotification (payload) {
+    let jobs
+
+    try {
+      jobs = JSON.parse(payload)
+    } catch {
+      return
+    }
+
+    for (const { event, ...job } of Array.isArray(jobs) ? jobs : []) {
+      if (Object.values(events).includes(event) && event.startsWith('job-')) {
+        this.emitJobEvent(event, job)
+      }
+    }
+  }
+
+  // a listener that throws is reported as an error instead of failing the operation that already changed the jobs
+  emitJobEvent (event, payload) {
+    try {
+      this.emit(event, payload)
+    } catch (err) {
+      this.emit(events.error, err)
+    }
+  }
+
+  async notifyJobs (name, ids, db = this.db, { cancelled = false } = {}) {
+    if (!this.config.notifyWorkers) {
+      return
+    }
+
+    // keeps each payload well under the 8000 byte NOTIFY limit
+    for (let i = 0; i < ids.length; i += NOTIFY_BATCH_SIZE) {
+      const batch = ids.slice(i, i + NOTIFY_BATCH_SIZE)
+      await this.notifyQueue(name, db, JSON.stringify(cancelled ? { cancelled: batch } : batch))
+    }
+  }
+
   async subscribe (event, name) {
     assert(event, 'Missing required argument')
     assert(name, 'Missing required argument')
@@ -347,7 +754,12 @@ class Manager extends EventEmitter {
       retryDelay,
       retryDelayDefault,
       retryBackoff,
-      retryBackoffDefault
+      retryBackoffDefault,
+      retryStrategy = null,
+      retryDelayMax = null,
+      retryDelays = null,
+      dependsOn = null,
+      dependencyPolicy = null
     } = options
 
     const values = [
@@ -369,13 +781,19 @@ class Manager extends EventEmitter {
       retryDelay, // 16
       retryDelayDefault, // 17
       retryBackoff, // 18
-      retryBackoffDefault // 19
+      retryBackoffDefault, // 19
+      dependsOn && JSON.stringify(dependsOn), // 20
+      dependencyPolicy, // 21
+      retryStrategy, // 22
+      retryDelayMax, // 23
+      retryDelays && JSON.stringify(retryDelays) // 24
     ]
 
     const db = wrapper || this.db
     const { rows } = await db.executeSql(this.insertJobCommand, values)
 
     if (rows.length === 1) {
+      await this.notifyQueue(name, db)
       return rows[0].id
     }
 
@@ -395,10 +813,126 @@ class Manager extends EventEmitter {
   }
 
   async insert (jobs, options = {}) {
-    assert(Array.isArray(jobs), 'jobs argument should be an array')
+    Attorney.checkInsertArgs(jobs)
 
     const db = options.db || this.db
 
+    const rows = await this.insertJobs(this.insertJobsCommand, jobs, db)
+
+    return (rows.length) ? rows.map(i => i.id) : null
+  }
+
+  async sendFlow (flow, options = {}) {
+    const db = options.db || this.db
+
+    const jobs = []
+    const { id } = this.mapFlowJobs(flow, jobs)
+
+    await this.insertJobs(this.insertFlowCommand, jobs, db)
+
+    return id
+  }
+
+  async sendAndWait (name, data, options, waitOptions = {}) {
+    const { timeout } = Attorney.checkWaitArgs(waitOptions)
+
+    // listening before the job is created so a quick completion isn't missed
+    await this.listen(name)
+
+    let id
+
+    try {
+      id = await this.send(name, data, options)
+    } catch (err) {
+      await this.releaseChannel(name)
+      throw err
+    }
+
+    if (!id) {
+      await this.releaseChannel(name)
+      throw new Error(`sendAndWait() could not create a job in queue ${name}`)
+    }
+
+    const waiter = {
+      name,
+      notified: false,
+      delayPromise: null,
+      notify () {
+        this.notified = true
+        this.delayPromise?.abort()
+      }
+    }
+
+    this.waiters.set(id, waiter)
+
+    const started = Date.now()
+
+    try {
+      while (true) {
+        waiter.notified = false
+
+        const job = await this.getJobById(name, id, { includeArchive: true })
+
+        assert(job, `Job ${id} not found in queue ${name}`)
+
+        if (job.state === plans.JOB_STATES.completed) {
+          return job.output
+        }
+
+        if (job.state === plans.JOB_STATES.failed) {
+          throw new Error(job.output?.message || `Job ${id} failed`, { cause: job.output })
+        }
+
+        if (job.state === plans.JOB_STATES.cancelled) {
+          throw new Error(`Job ${id} was cancelled`)
+        }
+
+        const remaining = timeout - (Date.now() - started)
+
+        if (remaining <= 0) {
+          throw new Error(`sendAndWait() timed out after ${timeout}ms waiting for job ${id}`)
+        }
+
+        if (!waiter.notified) {
+          waiter.delayPromise = delay(Math.min(remaining, this.config.pollingInterval))
+          await waiter.delayPromise
+          waiter.delayPromise = null
+        }
+      }
+    } finally {
+      this.waiters.delete(id)
+      await this.releaseChannel(name)
+    }
+  }
+
+  // flattens a flow into jobs, with each parent depending on its children
+  mapFlowJobs (flow, jobs) {
+    assert(flow && typeof flow === 'object', 'flow jobs should be objects')
+    assert(flow.name, 'flow jobs require a queue name')
+
+    const { children = [], ...job } = flow
+
+    assert(Array.isArray(children), 'flow children should be an array')
+
+    Attorney.checkFlowJob(job, this.config)
+
+    job.id = job.id || randomUUID()
+
+    if (children.length) {
+      job.dependsOn = [
+        ...(job.dependsOn || []),
+        ...children.map(child => this.mapFlowJobs(child, jobs)).map(({ name, id }) => ({ name, id }))
+      ]
+
+      job.dependencyPolicy = job.dependencyPolicy || DEPENDENCY_POLICIES.run
+    }
+
+    jobs.push(job)
+
+    return job
+  }
+
+  async insertJobs (command, jobs, db) {
     const params = [
       JSON.stringify(jobs), // 1
       this.config.expireIn, // 2
@@ -408,9 +942,70 @@ class Manager extends EventEmitter {
       this.config.retryBackoff // 6
     ]
 
-    const { rows } = await db.executeSql(this.insertJobsCommand, params)
+    const { rows } = await db.executeSql(command, params)
 
-    return (rows.length) ? rows.map(i => i.id) : null
+    for (const name of new Set(jobs.map(i => i.name))) {
+      await this.notifyQueue(name, db)
+    }
+
+    return rows
+  }
+
+  async redrive (name, options = {}) {
+    Attorney.assertQueueName(name)
+
+    const db = options.db || this.db
+    const { filter, targetQueue, limit } = Attorney.checkRedriveArgs(options)
+
+    const params = [
+      name, // 1
+      this.config.expireIn, // 2
+      this.config.keepUntil, // 3
+      this.config.retryLimit, // 4
+      this.config.retryDelay, // 5
+      this.config.retryBackoff, // 6
+      filter && JSON.stringify(filter), // 7
+      targetQueue, // 8
+      limit // 9
+    ]
+
+    const { rows } = await db.executeSql(this.redriveJobsCommand, params)
+
+    for (const queue of new Set(rows.map(i => i.name))) {
+      await this.notifyQueue(queue, db)
+    }
+
+    return { affected: rows.length }
+  }
+
+  async rerun (name, id, options = {}) {
+    Attorney.assertQueueName(name)
+    assert(id, 'rerun() requires an id')
+
+    const db = options.db || this.db
+    const { fromArchive, overrides } = Attorney.checkRerunArgs(options)
+
+    const params = [
+      name, // 1
+      this.config.expireIn, // 2
+      this.config.keepUntil, // 3
+      this.config.retryLimit, // 4
+      this.config.retryDelay, // 5
+      this.config.retryBackoff, // 6
+      id, // 7
+      fromArchive, // 8
+      overrides // 9
+    ]
+
+    const { rows } = await db.executeSql(this.rerunJobCommand, params)
+
+    if (!rows.length) {
+      return null
+    }
+
+    await this.notifyQueue(name, db)
+
+    return rows[0].id
   }
 
   getDebounceStartAfter (singletonSeconds, clockOffset) {
@@ -434,16 +1029,21 @@ class Manager extends EventEmitter {
     Attorney.checkFetchArgs(name, options)
     const db = options.db || this.db
     const nextJobSql = this.nextJobCommand({ ...options })
+    const owner = JSON.stringify({ ...this.owner, workerId: options.workerId })
 
     let result
 
     try {
-      result = await db.executeSql(nextJobSql, [name, options.batchSize])
+      result = await db.executeSql(nextJobSql, [name, options.batchSize, owner])
     } catch (err) {
       // errors from fetchquery should only be unique constraint violations
     }
 
-    return result?.rows || []
+    const jobs = result?.rows || []
+
+    await this.emitJobEvents(events.jobActive, jobs.map(({ id }) => ({ id, name, state: plans.JOB_STATES.active })), db)
+
+    return jobs
   }
 
   mapCompletionIdArg (id, funcName) {
@@ -480,24 +1080,105 @@ class Manager extends EventEmitter {
     Attorney.assertQueueName(name)
     const db = options.db || this.db
     const ids = this.mapCompletionIdArg(id, 'complete')
-    const result = await db.executeSql(this.completeJobsCommand, [name, ids, this.mapCompletionDataArg(data)])
-    return this.mapCommandResponse(ids, result)
+    const owner = Attorney.checkOwnerOption(options)
+    const result = await db.executeSql(this.completeJobsCommand, [name, ids, this.mapCompletionDataArg(data), owner])
+    const response = this.mapCommandResponse(ids, result)
+
+    if (response.affected) {
+      await this.notifyJobs(name, ids, db)
+      await this.emitJobEvents(events.jobCompleted, result.rows[0].events, db)
+    }
+
+    return response
   }
 
   async fail (name, id, data, options = {}) {
     Attorney.assertQueueName(name)
     const db = options.db || this.db
     const ids = this.mapCompletionIdArg(id, 'fail')
-    const result = await db.executeSql(this.failJobsByIdCommand, [name, ids, this.mapCompletionDataArg(data)])
+    const owner = Attorney.checkOwnerOption(options)
+    const result = await db.executeSql(this.failJobsByIdCommand, [name, ids, this.mapCompletionDataArg(data), owner])
+    const response = this.mapCommandResponse(ids, result)
+
+    if (response.affected) {
+      await this.notifyJobs(name, ids, db)
+      await this.emitJobEvents(this.getFailedJobEvent, result.rows[0].events, db)
+    }
+
+    return response
+  }
+
+  async touch (name, id, options = {}) {
+    Attorney.assertQueueName(name)
+    const db = options.db || this.db
+    const ids = this.mapCompletionIdArg(id, 'touch')
+    const result = await db.executeSql(this.touchJobsCommand, [name, ids])
+    return this.mapCommandResponse(ids, result)
+  }
+
+  async progress (name, id, value, options = {}) {
+    Attorney.assertQueueName(name)
+    assert(value !== undefined && typeof value !== 'function', 'progress() requires a number or JSON value')
+    const db = options.db || this.db
+    const ids = this.mapCompletionIdArg(id, 'progress')
+    const result = await db.executeSql(this.progressJobsCommand, [name, ids, JSON.stringify(value)])
     return this.mapCommandResponse(ids, result)
   }
 
+  // writes at most once per interval, keeping only the latest value in between
+  createProgressReporter (name, id, intervalSeconds, onError) {
+    let timer = null
+    let writtenOn = 0
+
+    const write = async () => {
+      clearTimeout(timer)
+      timer = null
+      writtenOn = Date.now()
+      return await this.progress(name, id, this.jobProgress.get(id))
+    }
+
+    const progress = async (value) => {
+      assert(value !== undefined && typeof value !== 'function', 'progress() requires a number or JSON value')
+
+      this.jobProgress.set(id, value)
+      this.emitWip(name)
+
+      const wait = writtenOn + (intervalSeconds || 0) * 1000 - Date.now()
+
+      if (wait <= 0) {
+        await write()
+      } else if (!timer) {
+        timer = setTimeout(() => write().catch(onError), wait)
+      }
+    }
+
+    progress.flush = async () => {
+      if (timer) {
+        await write().catch(onError)
+      }
+    }
+
+    return progress
+  }
+
   async cancel (name, id, options = {}) {
     Attorney.assertQueueName(name)
     const db = options.db || this.db
     const ids = this.mapCompletionIdArg(id, 'cancel')
     const result = await db.executeSql(this.cancelJobsCommand, [name, ids])
-    return this.mapCommandResponse(ids, result)
+    this.abortJobs(ids, new Error('job cancelled'))
+    const response = this.mapCommandResponse(ids, result)
+
+    if (response.affected) {
+      await this.notifyJobs(name, ids, db, { cancelled: true })
+      await this.emitJobEvents(events.jobCancelled, result.rows[0].events, db)
+    }
+
+    return response
+  }
+
+  getFailedJobEvent (job) {
+    return job.state === plans.JOB_STATES.retry ? events.jobRetry : events.jobFailed
   }
 
   async deleteJob (name, id, options = {}) {
@@ -516,6 +1197,74 @@ class Manager extends EventEmitter {
     return this.mapCommandResponse(ids, result)
   }
 
+  async executeJobFilter (command, name, where, params, db) {
+    Attorney.assertQueueName(name)
+    const filter = Attorney.checkJobFilter(where)
+    const { rows } = await db.executeSql(command, [name, ...filter, ...params])
+    return { ids: rows.map(i => i.id), jobs: rows.map(i => i.event) }
+  }
+
+  async completeJobs (name, where, data, options = {}) {
+    const db = options.db || this.db
+    const { ids, jobs } = await this.executeJobFilter(this.completeJobsByFilterCommand, name, where, [this.mapCompletionDataArg(data)], db)
+
+    if (ids.length) {
+      await this.notifyJobs(name, ids, db)
+      await this.emitJobEvents(events.jobCompleted, jobs, db)
+    }
+
+    return { affected: ids.length }
+  }
+
+  async failJobs (name, where, data, options = {}) {
+    const db = options.db || this.db
+    const { ids, jobs } = await this.executeJobFilter(this.failJobsByFilterCommand, name, where, [this.mapCompletionDataArg(data)], db)
+
+    if (ids.length) {
+      await this.notifyJobs(name, ids, db)
+      await this.emitJobEvents(this.getFailedJobEvent, jobs, db)
+    }
+
+    return { affected: ids.length }
+  }
+
+  async cancelJobs (name, where, options = {}) {
+    const db = options.db || this.db
+    const { ids, jobs } = await this.executeJobFilter(this.cancelJobsByFilterCommand, name, where, [], db)
+
+    this.abortJobs(ids, new Error('job cancelled'))
+
+    if (ids.length) {
+      await this.notifyJobs(name, ids, db, { cancelled: true })
+      await this.emitJobEvents(events.jobCancelled, jobs, db)
+    }
+
+    return { affected: ids.length }
+  }
+
+  async resumeJobs (name, where, options = {}) {
+    const db = options.db || this.db
+    const { ids } = await this.executeJobFilter(this.resumeJobsByFilterCommand, name, where, [], db)
+    return { affected: ids.length }
+  }
+
+  async deleteJobs (name, where, options = {}) {
+    const db = options.db || this.db
+    const { ids } = await this.executeJobFilter(this.deleteJobsByFilterCommand, name, where, [], db)
+    return { affected: ids.length }
+  }
+
+  async retryJobs (name, where, options = {}) {
+    const db = options.db || this.db
+    const { ids } = await this.executeJobFilter(this.retryJobsCommand, name, where, [], db)
+
+    if (ids.length) {
+      await this.notifyQueue(name, db)
+    }
+
+    return { affected: ids.length }
+  }
+
   async createQueue (name, options = {}) {
     name = name || options.name
 
@@ -529,9 +1278,18 @@ class Manager extends EventEmitter {
       retryLimit,
       retryDelay,
       retryBackoff,
+      retryStrategy,
+      retryDelayMax,
+      retryDelays,
       expireInSeconds,
       retentionMinutes,
-      deadLetter
+      deadLetter,
+      concurrencyLimit,
+      keyConcurrencyLimit,
+      fairScheduling,
+      fairWeights,
+      priorityAgingSeconds,
+      rateLimit
     } = Attorney.checkQueueArgs(name, options)
 
     if (deadLetter) {
@@ -544,9 +1302,18 @@ class Manager extends EventEmitter {
       retryLimit,
       retryDelay,
       retryBackoff,
+      retryStrategy,
+      retryDelayMax,
+      retryDelays,
       expireInSeconds,
       retentionMinutes,
-      deadLetter
+      deadLetter,
+      concurrencyLimit,
+      keyConcurrencyLimit,
+      fairScheduling,
+      fairWeights,
+      priorityAgingSeconds,
+      rateLimit
     }
 
     await this.db.executeSql(this.createQueueCommand, [name, data])
@@ -568,9 +1335,18 @@ class Manager extends EventEmitter {
       retryLimit,
       retryDelay,
       retryBackoff,
+      retryStrategy,
+      retryDelayMax,
+      retryDelays,
       expireInSeconds,
       retentionMinutes,
-      deadLetter
+      deadLetter,
+      concurrencyLimit,
+      keyConcurrencyLimit,
+      fairScheduling,
+      fairWeights,
+      priorityAgingSeconds,
+      rateLimit
     } = Attorney.checkQueueArgs(name, options)
 
     const params = [
@@ -581,12 +1357,42 @@ class Manager extends EventEmitter {
       retryBackoff,
       expireInSeconds,
       retentionMinutes,
-      deadLetter
+      deadLetter,
+      concurrencyLimit,
+      // null removes the limit, so it's only updated when included
+      'concurrencyLimit' in options,
+      rateLimit?.count,
+      rateLimit?.perSeconds,
+      'rateLimit' in options,
+      keyConcurrencyLimit,
+      'keyConcurrencyLimit' in options,
+      fairScheduling,
+      fairWeights,
+      'fairWeights' in options,
+      priorityAgingSeconds,
+      'priorityAgingSeconds' in options,
+      retryStrategy,
+      'retryStrategy' in options,
+      retryDelayMax,
+      'retryDelayMax' in options,
+      retryDelays && JSON.stringify(retryDelays),
+      'retryDelays' in options
     ]
 
     await this.db.executeSql(this.updateQueueCommand, params)
   }
 
+  async pauseQueue (name) {
+    Attorney.assertQueueName(name)
+    await this.db.executeSql(this.setQueuePausedCommand, [name, true])
+  }
+
+  async resumeQueue (name) {
+    Attorney.assertQueueName(name)
+    await this.db.executeSql(this.setQueuePausedCommand, [name, false])
+    await this.notifyQueue(name)
+  }
+
   async getQueue (name) {
     Attorney.assertQueueName(name)
 
@@ -640,6 +1446,37 @@ class Manager extends EventEmitter {
       return null
     }
   }
+
+  async getJobHistory (name, id, options = {}) {
+    Attorney.assertQueueName(name)
+    assert(id, 'getJobHistory() requires an id')
+
+    const db = options.db || this.db
+
+    const { rows } = await db.executeSql(this.getJobHistoryCommand, [name, id])
+
+    return rows
+  }
+
+  async findJobs (name, options = {}) {
+    Attorney.assertQueueName(name)
+
+    const db = options.db || this.db
+    const { filter, includeArchive, ascending, limit, after } = Attorney.checkFindJobsArgs(options)
+
+    // one extra row tells if there is another page
+    const { rows } = await db.executeSql(this.findJobsCommand({ ascending }), [name, ...filter, includeArchive, ...after, limit + 1])
+
+    const page = rows.slice(0, limit)
+    const last = page[page.length - 1]
+
+    return {
+      jobs: page.map(({ cursorCreatedOn, ...job }) => job),
+      cursor: rows.length > limit
+        ? Buffer.from(JSON.stringify([last.cursorCreatedOn, last.id])).toString('base64url')
+        : null
+    }
+  }
 }
 
 module.exports = Manager
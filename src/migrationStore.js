@@ -64,6 +64,281 @@ function migrate (value, version, migrations) {
 
 function getAll (schema) {
   return [
+    {
+      release: '10.2.0',
+      version: 25,
+      previous: 24,
+      install: [
+        `ALTER TABLE ${schema}.job ADD COLUMN heartbeat_on timestamp with time zone`,
+        `ALTER TABLE ${schema}.archive ADD COLUMN heartbeat_on timestamp with time zone`,
+        `ALTER TABLE ${schema}.job ADD COLUMN depends_on jsonb`,
+        `ALTER TABLE ${schema}.job ADD COLUMN dependency_policy text`,
+        `ALTER TABLE ${schema}.archive ADD COLUMN depends_on jsonb`,
+        `ALTER TABLE ${schema}.archive ADD COLUMN dependency_policy text`,
+        `ALTER TABLE ${schema}.queue ADD COLUMN paused boolean not null default false`,
+        `ALTER TABLE ${schema}.queue ADD COLUMN concurrency_limit int`,
+        `ALTER TABLE ${schema}.job ADD COLUMN concurrency_slot int`,
+        `ALTER TABLE ${schema}.archive ADD COLUMN concurrency_slot int`,
+        `ALTER TABLE ${schema}.queue ADD COLUMN key_concurrency_limit int`,
+        `ALTER TABLE ${schema}.job ADD COLUMN key_slot int`,
+        `ALTER TABLE ${schema}.archive ADD COLUMN key_slot int`,
+        `ALTER TABLE ${schema}.queue ADD COLUMN fair_scheduling boolean not null default false`,
+        `ALTER TABLE ${schema}.queue ADD COLUMN fair_weights jsonb`,
+        `ALTER TABLE ${schema}.queue ADD COLUMN priority_aging_seconds int`,
+        `ALTER TABLE ${schema}.job ADD COLUMN source_name text`,
+        `ALTER TABLE ${schema}.job ADD COLUMN source_id uuid`,
+        `ALTER TABLE ${schema}.archive ADD COLUMN source_name text`,
+        `ALTER TABLE ${schema}.archive ADD COLUMN source_id uuid`,
+        `ALTER TABLE ${schema}.job ADD COLUMN progress jsonb`,
+        `ALTER TABLE ${schema}.archive ADD COLUMN progress jsonb`,
+        `
+        CREATE TABLE ${schema}.job_event (
+          id bigint generated always as identity primary key,
+          job_id uuid not null,
+          name text not null,
+          state ${schema}.job_state not null,
+          attempt integer not null,
+          worker_id text,
+          output jsonb,
+          created_on timestamp with time zone not null default now()
+        )
+        `,
+        `CREATE INDEX job_event_i1 ON ${schema}.job_event (name, job_id)`,
+        `ALTER TABLE ${schema}.job ADD COLUMN owner jsonb`,
+        `ALTER TABLE ${schema}.archive ADD COLUMN owner jsonb`,
+        `CREATE SEQUENCE ${schema}.job_seq`,
+        `ALTER TABLE ${schema}.job ADD COLUMN seq bigint`,
+        `ALTER TABLE ${schema}.job ALTER COLUMN seq SET DEFAULT nextval('${schema}.job_seq')`,
+        `ALTER TABLE ${schema}.archive ADD COLUMN seq bigint`,
+        `ALTER TABLE ${schema}.queue ADD COLUMN retry_strategy text`,
+        `ALTER TABLE ${schema}.queue ADD COLUMN retry_delay_max int`,
+        `ALTER TABLE ${schema}.queue ADD COLUMN retry_delays jsonb`,
+        `ALTER TABLE ${schema}.job ADD COLUMN retry_strategy text`,
+        `ALTER TABLE ${schema}.job ADD COLUMN retry_delay_max int`,
+        `ALTER TABLE ${schema}.job ADD COLUMN retry_delays jsonb`,
+        `ALTER TABLE ${schema}.archive ADD COLUMN retry_strategy text`,
+        `ALTER TABLE ${schema}.archive ADD COLUMN retry_delay_max int`,
+        `ALTER TABLE ${schema}.archive ADD COLUMN retry_delays jsonb`,
+        `ALTER TABLE ${schema}.job ADD COLUMN fair_tag double precision`,
+        `ALTER TABLE ${schema}.archive ADD COLUMN fair_tag double precision`,
+        `ALTER TABLE ${schema}.queue ADD COLUMN rate_limit_count int`,
+        `ALTER TABLE ${schema}.queue ADD COLUMN rate_limit_seconds int`,
+        `ALTER TABLE ${schema}.queue ADD COLUMN rate_tokens double precision`,
+        `ALTER TABLE ${schema}.queue ADD COLUMN rate_refilled_on timestamp with time zone`,
+        `
+        DO $$
+        DECLARE
+          partition record;
+        BEGIN
+          FOR partition IN SELECT partition_name FROM ${schema}.queue LOOP
+            EXECUTE format('CREATE UNIQUE INDEX %1$s_i6 ON ${schema}.%1$I (name, concurrency_slot) WHERE state = ''active'' AND concurrency_slot IS NOT NULL', partition.partition_name);
+            EXECUTE format('CREATE INDEX %1$s_i7 ON ${schema}.%1$I (name, singleton_key, seq) WHERE state < ''completed'' AND policy = ''grouped''', partition.partition_name);
+            EXECUTE format('CREATE UNIQUE INDEX %1$s_i8 ON ${schema}.%1$I (name, singleton_key, key_slot) WHERE state = ''active'' AND key_slot IS NOT NULL', partition.partition_name);
+            EXECUTE format('CREATE INDEX %1$s_i9 ON ${schema}.%1$I (name, fair_tag) WHERE state < ''active'' AND fair_tag IS NOT NULL', partition.partition_name);
+            EXECUTE format('CREATE INDEX %1$s_i10 ON ${schema}.%1$I (name, singleton_key, fair_tag) WHERE state < ''active'' AND fair_tag IS NOT NULL', partition.partition_name);
+          END LOOP;
+        END
+        $$
+        `,
+        `
+        CREATE OR REPLACE FUNCTION ${schema}.create_queue(queue_name text, options json)
+        RETURNS VOID AS
+        $$
+        DECLARE
+          table_name varchar := 'j' || encode(sha224(queue_name::bytea), 'hex');
+          queue_created_on timestamptz;
+        BEGIN
+
+          WITH q as (
+            INSERT INTO ${schema}.queue (
+              name,
+              policy,
+              retry_limit,
+              retry_delay,
+              retry_backoff,
+              retry_strategy,
+              retry_delay_max,
+              retry_delays,
+              expire_seconds,
+              retention_minutes,
+              dead_letter,
+              concurrency_limit,
+              key_concurrency_limit,
+              fair_scheduling,
+              fair_weights,
+              priority_aging_seconds,
+              rate_limit_count,
+              rate_limit_seconds,
+              partition_name
+            )
+            VALUES (
+              queue_name,
+              options->>'policy',
+              (options->>'retryLimit')::int,
+              (options->>'retryDelay')::int,
+              (options->>'retryBackoff')::bool,
+              options->>'retryStrategy',
+              (options->>'retryDelayMax')::int,
+              (options->'retryDelays')::jsonb,
+              (options->>'expireInSeconds')::int,
+              (options->>'retentionMinutes')::int,
+              options->>'deadLetter',
+              (options->>'concurrencyLimit')::int,
+              (options->>'keyConcurrencyLimit')::int,
+              COALESCE((options->>'fairScheduling')::bool, false),
+              (options->'fairWeights')::jsonb,
+              (options->>'priorityAgingSeconds')::int,
+              (options->'rateLimit'->>'count')::int,
+              (options->'rateLimit'->>'perSeconds')::int,
+              table_name
+            )
+            ON CONFLICT DO NOTHING
+            RETURNING created_on
+          )
+          SELECT created_on into queue_created_on from q;
+
+          IF queue_created_on IS NULL THEN
+            RETURN;
+          END IF;
+
+          EXECUTE format('CREATE TABLE ${schema}.%I (LIKE ${schema}.job INCLUDING DEFAULTS)', table_name);
+          
+          EXECUTE format('ALTER TABLE ${schema}.%1$I ADD PRIMARY KEY (name, id)', table_name);
+          EXECUTE format('ALTER TABLE ${schema}.%1$I ADD CONSTRAINT q_fkey FOREIGN KEY (name) REFERENCES ${schema}.queue (name) ON DELETE RESTRICT DEFERRABLE INITIALLY DEFERRED', table_name);
+          EXECUTE format('ALTER TABLE ${schema}.%1$I ADD CONSTRAINT dlq_fkey FOREIGN KEY (dead_letter) REFERENCES ${schema}.queue (name) ON DELETE RESTRICT DEFERRABLE INITIALLY DEFERRED', table_name);
+          EXECUTE format('CREATE UNIQUE INDEX %1$s_i1 ON ${schema}.%1$I (name, COALESCE(singleton_key, '''')) WHERE state = ''created'' AND policy = ''short''', table_name);
+          EXECUTE format('CREATE UNIQUE INDEX %1$s_i2 ON ${schema}.%1$I (name, COALESCE(singleton_key, '''')) WHERE state = ''active'' AND policy = ''singleton''', table_name);
+          EXECUTE format('CREATE UNIQUE INDEX %1$s_i3 ON ${schema}.%1$I (name, state, COALESCE(singleton_key, '''')) WHERE state <= ''active'' AND policy = ''stately''', table_name);
+          EXECUTE format('CREATE UNIQUE INDEX %1$s_i4 ON ${schema}.%1$I (name, singleton_on, COALESCE(singleton_key, '''')) WHERE state <> ''cancelled'' AND singleton_on IS NOT NULL', table_name);
+          EXECUTE format('CREATE INDEX %1$s_i5 ON ${schema}.%1$I (name, start_after) INCLUDE (priority, created_on, id) WHERE state < ''active''', table_name);
+          EXECUTE format('CREATE UNIQUE INDEX %1$s_i6 ON ${schema}.%1$I (name, concurrency_slot) WHERE state = ''active'' AND concurrency_slot IS NOT NULL', table_name);
+          EXECUTE format('CREATE INDEX %1$s_i7 ON ${schema}.%1$I (name, singleton_key, seq) WHERE state < ''completed'' AND policy = ''grouped''', table_name);
+          EXECUTE format('CREATE UNIQUE INDEX %1$s_i8 ON ${schema}.%1$I (name, singleton_key, key_slot) WHERE state = ''active'' AND key_slot IS NOT NULL', table_name);
+          EXECUTE format('CREATE INDEX %1$s_i9 ON ${schema}.%1$I (name, fair_tag) WHERE state < ''active'' AND fair_tag IS NOT NULL', table_name);
+          EXECUTE format('CREATE INDEX %1$s_i10 ON ${schema}.%1$I (name, singleton_key, fair_tag) WHERE state < ''active'' AND fair_tag IS NOT NULL', table_name);
+
+          EXECUTE format('ALTER TABLE ${schema}.%I ADD CONSTRAINT cjc CHECK (name=%L)', table_name, queue_name);
+          EXECUTE format('ALTER TABLE ${schema}.job ATTACH PARTITION ${schema}.%I FOR VALUES IN (%L)', table_name, queue_name);
+        END;
+        $$
+        LANGUAGE plpgsql
+        `
+      ],
+      uninstall: [
+        `
+        CREATE OR REPLACE FUNCTION ${schema}.create_queue(queue_name text, options json)
+        RETURNS VOID AS
+        $$
+        DECLARE
+          table_name varchar := 'j' || encode(sha224(queue_name::bytea), 'hex');
+          queue_created_on timestamptz;
+        BEGIN
+
+          WITH q as (
+            INSERT INTO ${schema}.queue (
+              name,
+              policy,
+              retry_limit,
+              retry_delay,
+              retry_backoff,
+              expire_seconds,
+              retention_minutes,
+              dead_letter,
+              partition_name
+            )
+            VALUES (
+              queue_name,
+              options->>'policy',
+              (options->>'retryLimit')::int,
+              (options->>'retryDelay')::int,
+              (options->>'retryBackoff')::bool,
+              (options->>'expireInSeconds')::int,
+              (options->>'retentionMinutes')::int,
+              options->>'deadLetter',
+              table_name
+            )
+            ON CONFLICT DO NOTHING
+            RETURNING created_on
+          )
+          SELECT created_on into queue_created_on from q;
+
+          IF queue_created_on IS NULL THEN
+            RETURN;
+          END IF;
+
+          EXECUTE format('CREATE TABLE ${schema}.%I (LIKE ${schema}.job INCLUDING DEFAULTS)', table_name);
+          
+          EXECUTE format('ALTER TABLE ${schema}.%1$I ADD PRIMARY KEY (name, id)', table_name);
+          EXECUTE format('ALTER TABLE ${schema}.%1$I ADD CONSTRAINT q_fkey FOREIGN KEY (name) REFERENCES ${schema}.queue (name) ON DELETE RESTRICT DEFERRABLE INITIALLY DEFERRED', table_name);
+          EXECUTE format('ALTER TABLE ${schema}.%1$I ADD CONSTRAINT dlq_fkey FOREIGN KEY (dead_letter) REFERENCES ${schema}.queue (name) ON DELETE RESTRICT DEFERRABLE INITIALLY DEFERRED', table_name);
+          EXECUTE format('CREATE UNIQUE INDEX %1$s_i1 ON ${schema}.%1$I (name, COALESCE(singleton_key, '''')) WHERE state = ''created'' AND policy = ''short''', table_name);
+          EXECUTE format('CREATE UNIQUE INDEX %1$s_i2 ON ${schema}.%1$I (name, COALESCE(singleton_key, '''')) WHERE state = ''active'' AND policy = ''singleton''', table_name);
+          EXECUTE format('CREATE UNIQUE INDEX %1$s_i3 ON ${schema}.%1$I (name, state, COALESCE(singleton_key, '''')) WHERE state <= ''active'' AND policy = ''stately''', table_name);
+          EXECUTE format('CREATE UNIQUE INDEX %1$s_i4 ON ${schema}.%1$I (name, singleton_on, COALESCE(singleton_key, '''')) WHERE state <> ''cancelled'' AND singleton_on IS NOT NULL', table_name);
+          EXECUTE format('CREATE INDEX %1$s_i5 ON ${schema}.%1$I (name, start_after) INCLUDE (priority, created_on, id) WHERE state < ''active''', table_name);
+
+          EXECUTE format('ALTER TABLE ${schema}.%I ADD CONSTRAINT cjc CHECK (name=%L)', table_name, queue_name);
+          EXECUTE format('ALTER TABLE ${schema}.job ATTACH PARTITION ${schema}.%I FOR VALUES IN (%L)', table_name, queue_name);
+        END;
+        $$
+        LANGUAGE plpgsql
+        `,
+        `
+        DO $$
+        DECLARE
+          partition record;
+        BEGIN
+          FOR partition IN SELECT partition_name FROM ${schema}.queue LOOP
+            EXECUTE format('DROP INDEX ${schema}.%1$s_i7', partition.partition_name);
+          END LOOP;
+        END
+        $$
+        `,
+        `ALTER TABLE ${schema}.queue DROP COLUMN rate_refilled_on`,
+        `ALTER TABLE ${schema}.queue DROP COLUMN rate_tokens`,
+        `ALTER TABLE ${schema}.queue DROP COLUMN rate_limit_seconds`,
+        `ALTER TABLE ${schema}.queue DROP COLUMN rate_limit_count`,
+        `ALTER TABLE ${schema}.archive DROP COLUMN seq`,
+        `ALTER TABLE ${schema}.job DROP COLUMN seq`,
+        `DROP SEQUENCE ${schema}.job_seq`,
+        `ALTER TABLE ${schema}.archive DROP COLUMN owner`,
+        `ALTER TABLE ${schema}.job DROP COLUMN owner`,
+        `DROP TABLE ${schema}.job_event`,
+        `ALTER TABLE ${schema}.archive DROP COLUMN progress`,
+        `ALTER TABLE ${schema}.job DROP COLUMN progress`,
+        `ALTER TABLE ${schema}.archive DROP COLUMN source_id`,
+        `ALTER TABLE ${schema}.archive DROP COLUMN source_name`,
+        `ALTER TABLE ${schema}.job DROP COLUMN source_id`,
+        `ALTER TABLE ${schema}.job DROP COLUMN source_name`,
+        `ALTER TABLE ${schema}.archive DROP COLUMN retry_delays`,
+        `ALTER TABLE ${schema}.archive DROP COLUMN retry_delay_max`,
+        `ALTER TABLE ${schema}.archive DROP COLUMN retry_strategy`,
+        `ALTER TABLE ${schema}.job DROP COLUMN retry_delays`,
+        `ALTER TABLE ${schema}.job DROP COLUMN retry_delay_max`,
+        `ALTER TABLE ${schema}.job DROP COLUMN retry_strategy`,
+        `ALTER TABLE ${schema}.queue DROP COLUMN retry_delays`,
+        `ALTER TABLE ${schema}.queue DROP COLUMN retry_delay_max`,
+        `ALTER TABLE ${schema}.queue DROP COLUMN retry_strategy`,
+        `ALTER TABLE ${schema}.queue DROP COLUMN priority_aging_seconds`,
+        `ALTER TABLE ${schema}.archive DROP COLUMN fair_tag`,
+        `ALTER TABLE ${schema}.job DROP COLUMN fair_tag`,
+        `ALTER TABLE ${schema}.queue DROP COLUMN fair_weights`,
+        `ALTER TABLE ${schema}.queue DROP COLUMN fair_scheduling`,
+        `ALTER TABLE ${schema}.archive DROP COLUMN key_slot`,
+        `ALTER TABLE ${schema}.job DROP COLUMN key_slot`,
+        `ALTER TABLE ${schema}.queue DROP COLUMN key_concurrency_limit`,
+        `ALTER TABLE ${schema}.archive DROP COLUMN concurrency_slot`,
+        `ALTER TABLE ${schema}.job DROP COLUMN concurrency_slot`,
+        `ALTER TABLE ${schema}.queue DROP COLUMN concurrency_limit`,
+        `ALTER TABLE ${schema}.queue DROP COLUMN paused`,
+        `ALTER TABLE ${schema}.archive DROP COLUMN dependency_policy`,
+        `ALTER TABLE ${schema}.archive DROP COLUMN depends_on`,
+        `ALTER TABLE ${schema}.job DROP COLUMN dependency_policy`,
+        `ALTER TABLE ${schema}.job DROP COLUMN depends_on`,
+        `ALTER TABLE ${schema}.archive DROP COLUMN heartbeat_on`,
+        `ALTER TABLE ${schema}.job DROP COLUMN heartbeat_on`
+      ]
+    },
     {
       release: '10.1.5',
       version: 24,
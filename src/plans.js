@@ -1,6 +1,7 @@
 const DEFAULT_SCHEMA = 'pgboss'
 const MIGRATE_RACE_MESSAGE = 'division by zero'
 const CREATE_RACE_MESSAGE = 'already exists'
+const UUID_PATTERN = '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$'
 
 const JOB_STATES = Object.freeze({
   created: 'created',
@@ -11,11 +12,25 @@ const JOB_STATES = Object.freeze({
   failed: 'failed'
 })
 
+const RETRY_STRATEGIES = Object.freeze({
+  fixed: 'fixed',
+  linear: 'linear',
+  exponential: 'exponential',
+  jitter: 'jitter'
+})
+
 const QUEUE_POLICIES = Object.freeze({
   standard: 'standard',
   short: 'short',
   singleton: 'singleton',
-  stately: 'stately'
+  stately: 'stately',
+  grouped: 'grouped'
+})
+
+const DEPENDENCY_POLICIES = Object.freeze({
+  cancel: 'cancel',
+  fail: 'fail',
+  run: 'run'
 })
 
 module.exports = {
@@ -29,11 +44,20 @@ module.exports = {
   cancelJobs,
   resumeJobs,
   deleteJobs,
+  touchJobs,
+  progressJobs,
+  releaseJobs,
   failJobsById,
+  failJobsByFilter,
   failJobsByTimeout,
+  retryJobs,
+  failJobsByDependency,
   insertJob,
   insertJobs,
+  redriveJobs,
+  rerunJob,
   getTime,
+  notify,
   getSchedules,
   schedule,
   unschedule,
@@ -44,6 +68,7 @@ module.exports = {
   drop,
   countStates,
   updateQueue,
+  setQueuePaused,
   createQueue,
   deleteQueue,
   getQueues,
@@ -57,11 +82,16 @@ module.exports = {
   locked,
   assertMigration,
   getArchivedJobById,
+  getJobHistory,
   getJobById,
+  findJobs,
   QUEUE_POLICIES,
+  RETRY_STRATEGIES,
+  DEPENDENCY_POLICIES,
   JOB_STATES,
   MIGRATE_RACE_MESSAGE,
   CREATE_RACE_MESSAGE,
+  UUID_PATTERN,
   DEFAULT_SCHEMA
 }
 
@@ -77,6 +107,7 @@ function create (schema, version) {
     createTableSchedule(schema),
     createTableSubscription(schema),
 
+    createSequenceJob(schema),
     createTableJob(schema),
     createPrimaryKeyJob(schema),
 
@@ -85,6 +116,9 @@ function create (schema, version) {
     createColumnArchiveArchivedOn(schema),
     createIndexArchiveArchivedOn(schema),
 
+    createTableJobEvent(schema),
+    createIndexJobEvent(schema),
+
     createQueueFunction(schema),
     deleteQueueFunction(schema),
 
@@ -134,10 +168,23 @@ function createTableQueue (schema) {
       retry_limit int,
       retry_delay int,
       retry_backoff bool,
+      retry_strategy text,
+      retry_delay_max int,
+      retry_delays jsonb,
       expire_seconds int,
       retention_minutes int,
       dead_letter text REFERENCES ${schema}.queue (name),
       partition_name text,
+      paused boolean not null default false,
+      concurrency_limit int,
+      key_concurrency_limit int,
+      fair_scheduling boolean not null default false,
+      fair_weights jsonb,
+      priority_aging_seconds int,
+      rate_limit_count int,
+      rate_limit_seconds int,
+      rate_tokens double precision,
+      rate_refilled_on timestamp with time zone,
       created_on timestamp with time zone not null default now(),
       updated_on timestamp with time zone not null default now(),
       PRIMARY KEY (name) 
@@ -172,6 +219,11 @@ function createTableSubscription (schema) {
   `
 }
 
+// jobs are numbered in the order they were inserted, since jobs from one insert() share a created_on
+function createSequenceJob (schema) {
+  return `CREATE SEQUENCE ${schema}.job_seq`
+}
+
 function createTableJob (schema) {
   return `
     CREATE TABLE ${schema}.job (
@@ -184,8 +236,12 @@ function createTableJob (schema) {
       retry_count integer not null default(0),
       retry_delay integer not null default(0),
       retry_backoff boolean not null default false,
+      retry_strategy text,
+      retry_delay_max integer,
+      retry_delays jsonb,
       start_after timestamp with time zone not null default now(),
       started_on timestamp with time zone,
+      heartbeat_on timestamp with time zone,
       singleton_key text,
       singleton_on timestamp without time zone,
       expire_in interval not null default interval '15 minutes',
@@ -194,7 +250,17 @@ function createTableJob (schema) {
       keep_until timestamp with time zone NOT NULL default now() + interval '14 days',
       output jsonb,
       dead_letter text,
-      policy text
+      policy text,
+      depends_on jsonb,
+      dependency_policy text,
+      concurrency_slot integer,
+      key_slot integer,
+      fair_tag double precision,
+      source_name text,
+      source_id uuid,
+      progress jsonb,
+      owner jsonb,
+      seq bigint default nextval('${schema}.job_seq')
     ) PARTITION BY LIST (name)
   `
 }
@@ -208,8 +274,12 @@ const allJobColumns = `${baseJobColumns},
   retry_count as "retryCount",
   retry_delay as "retryDelay",
   retry_backoff as "retryBackoff",
+  retry_strategy as "retryStrategy",
+  retry_delay_max as "retryDelayMax",
+  retry_delays as "retryDelays",
   start_after as "startAfter",  
   started_on as "startedOn",
+  heartbeat_on as "heartbeatOn",
   singleton_key as "singletonKey",
   singleton_on as "singletonOn",
   expire_in as "expireIn",
@@ -217,6 +287,12 @@ const allJobColumns = `${baseJobColumns},
   completed_on as "completedOn",
   keep_until as "keepUntil",
   dead_letter as "deadLetter",
+  depends_on as "dependsOn",
+  dependency_policy as "dependencyPolicy",
+  source_name as "sourceName",
+  source_id as "sourceId",
+  progress,
+  owner,
   output
 `
 
@@ -237,9 +313,19 @@ function createQueueFunction (schema) {
         retry_limit,
         retry_delay,
         retry_backoff,
+        retry_strategy,
+        retry_delay_max,
+        retry_delays,
         expire_seconds,
         retention_minutes,
         dead_letter,
+        concurrency_limit,
+        key_concurrency_limit,
+        fair_scheduling,
+        fair_weights,
+        priority_aging_seconds,
+        rate_limit_count,
+        rate_limit_seconds,
         partition_name
       )
       VALUES (
@@ -248,9 +334,19 @@ function createQueueFunction (schema) {
         (options->>'retryLimit')::int,
         (options->>'retryDelay')::int,
         (options->>'retryBackoff')::bool,
+        options->>'retryStrategy',
+        (options->>'retryDelayMax')::int,
+        (options->'retryDelays')::jsonb,
         (options->>'expireInSeconds')::int,
         (options->>'retentionMinutes')::int,
         options->>'deadLetter',
+        (options->>'concurrencyLimit')::int,
+        (options->>'keyConcurrencyLimit')::int,
+        COALESCE((options->>'fairScheduling')::bool, false),
+        (options->'fairWeights')::jsonb,
+        (options->>'priorityAgingSeconds')::int,
+        (options->'rateLimit'->>'count')::int,
+        (options->'rateLimit'->>'perSeconds')::int,
         table_name
       )
       ON CONFLICT DO NOTHING
@@ -272,6 +368,11 @@ function createQueueFunction (schema) {
       EXECUTE format('${formatPartitionCommand(createIndexJobPolicyStately(schema))}', table_name);
       EXECUTE format('${formatPartitionCommand(createIndexJobThrottle(schema))}', table_name);
       EXECUTE format('${formatPartitionCommand(createIndexJobFetch(schema))}', table_name);
+      EXECUTE format('${formatPartitionCommand(createIndexJobConcurrency(schema))}', table_name);
+      EXECUTE format('${formatPartitionCommand(createIndexJobPolicyGrouped(schema))}', table_name);
+      EXECUTE format('${formatPartitionCommand(createIndexJobKeyConcurrency(schema))}', table_name);
+      EXECUTE format('${formatPartitionCommand(createIndexJobFairQueue(schema))}', table_name);
+      EXECUTE format('${formatPartitionCommand(createIndexJobFairGroup(schema))}', table_name);
 
       EXECUTE format('ALTER TABLE ${schema}.%I ADD CONSTRAINT cjc CHECK (name=%L)', table_name, queue_name);
       EXECUTE format('ALTER TABLE ${schema}.job ATTACH PARTITION ${schema}.%I FOR VALUES IN (%L)', table_name, queue_name);
@@ -347,10 +448,30 @@ function createIndexJobThrottle (schema) {
   return `CREATE UNIQUE INDEX job_i4 ON ${schema}.job (name, singleton_on, COALESCE(singleton_key, '')) WHERE state <> '${JOB_STATES.cancelled}' AND singleton_on IS NOT NULL`
 }
 
+function createIndexJobPolicyGrouped (schema) {
+  return `CREATE INDEX job_i7 ON ${schema}.job (name, singleton_key, seq) WHERE state < '${JOB_STATES.completed}' AND policy = '${QUEUE_POLICIES.grouped}'`
+}
+
 function createIndexJobFetch (schema) {
   return `CREATE INDEX job_i5 ON ${schema}.job (name, start_after) INCLUDE (priority, created_on, id) WHERE state < '${JOB_STATES.active}'`
 }
 
+function createIndexJobConcurrency (schema) {
+  return `CREATE UNIQUE INDEX job_i6 ON ${schema}.job (name, concurrency_slot) WHERE state = '${JOB_STATES.active}' AND concurrency_slot IS NOT NULL`
+}
+
+function createIndexJobKeyConcurrency (schema) {
+  return `CREATE UNIQUE INDEX job_i8 ON ${schema}.job (name, singleton_key, key_slot) WHERE state = '${JOB_STATES.active}' AND key_slot IS NOT NULL`
+}
+
+function createIndexJobFairQueue (schema) {
+  return `CREATE INDEX job_i9 ON ${schema}.job (name, fair_tag) WHERE state < '${JOB_STATES.active}' AND fair_tag IS NOT NULL`
+}
+
+function createIndexJobFairGroup (schema) {
+  return `CREATE INDEX job_i10 ON ${schema}.job (name, singleton_key, fair_tag) WHERE state < '${JOB_STATES.active}' AND fair_tag IS NOT NULL`
+}
+
 function createTableArchive (schema) {
   return `CREATE TABLE ${schema}.archive (LIKE ${schema}.job)`
 }
@@ -363,6 +484,25 @@ function createIndexArchiveArchivedOn (schema) {
   return `CREATE INDEX archive_i1 ON ${schema}.archive(archived_on)`
 }
 
+function createTableJobEvent (schema) {
+  return `
+    CREATE TABLE ${schema}.job_event (
+      id bigint generated always as identity primary key,
+      job_id uuid not null,
+      name text not null,
+      state ${schema}.job_state not null,
+      attempt integer not null,
+      worker_id text,
+      output jsonb,
+      created_on timestamp with time zone not null default now()
+    )
+  `
+}
+
+function createIndexJobEvent (schema) {
+  return `CREATE INDEX job_event_i1 ON ${schema}.job_event (name, job_id)`
+}
+
 function trySetMaintenanceTime (schema) {
   return trySetTimestamp(schema, 'maintained_on')
 }
@@ -390,9 +530,30 @@ function updateQueue (schema) {
       retry_limit = COALESCE($3, retry_limit),
       retry_delay = COALESCE($4, retry_delay),
       retry_backoff = COALESCE($5, retry_backoff),
+      retry_strategy = CASE WHEN $22 THEN $21 ELSE retry_strategy END,
+      retry_delay_max = CASE WHEN $24 THEN $23::int ELSE retry_delay_max END,
+      retry_delays = CASE WHEN $26 THEN $25::jsonb ELSE retry_delays END,
       expire_seconds = COALESCE($6, expire_seconds),
       retention_minutes = COALESCE($7, retention_minutes),
       dead_letter = COALESCE($8, dead_letter),
+      concurrency_limit = CASE WHEN $10 THEN $9::int ELSE concurrency_limit END,
+      key_concurrency_limit = CASE WHEN $15 THEN $14::int ELSE key_concurrency_limit END,
+      fair_scheduling = COALESCE($16, fair_scheduling),
+      fair_weights = CASE WHEN $18 THEN $17::jsonb ELSE fair_weights END,
+      priority_aging_seconds = CASE WHEN $20 THEN $19::int ELSE priority_aging_seconds END,
+      rate_limit_count = CASE WHEN $13 THEN $11::int ELSE rate_limit_count END,
+      rate_limit_seconds = CASE WHEN $13 THEN $12::int ELSE rate_limit_seconds END,
+      rate_tokens = CASE WHEN $13 THEN NULL ELSE rate_tokens END,
+      rate_refilled_on = CASE WHEN $13 THEN NULL ELSE rate_refilled_on END,
+      updated_on = now()
+    WHERE name = $1
+  `
+}
+
+function setQueuePaused (schema) {
+  return `
+    UPDATE ${schema}.queue SET
+      paused = $2,
       updated_on = now()
     WHERE name = $1
   `
@@ -406,9 +567,21 @@ function getQueues (schema) {
       retry_limit as "retryLimit",
       retry_delay as "retryDelay",
       retry_backoff as "retryBackoff",
+      retry_strategy as "retryStrategy",
+      retry_delay_max as "retryDelayMax",
+      retry_delays as "retryDelays",
       expire_seconds as "expireInSeconds",
       retention_minutes as "retentionMinutes",
       dead_letter as "deadLetter",
+      concurrency_limit as "concurrencyLimit",
+      key_concurrency_limit as "keyConcurrencyLimit",
+      fair_scheduling as "fairScheduling",
+      fair_weights as "fairWeights",
+      priority_aging_seconds as "priorityAgingSeconds",
+      CASE WHEN rate_limit_count IS NOT NULL
+        THEN json_build_object('count', rate_limit_count, 'perSeconds', rate_limit_seconds)
+        END as "rateLimit",
+      paused,
       created_on as "createdOn",
       updated_on as "updatedOn"
     FROM ${schema}.queue
@@ -424,7 +597,7 @@ function purgeQueue (schema) {
 }
 
 function clearStorage (schema) {
-  return `TRUNCATE ${schema}.job, ${schema}.archive`
+  return `TRUNCATE ${schema}.job, ${schema}.archive, ${schema}.job_event`
 }
 
 function getQueueSize (schema, options = {}) {
@@ -486,6 +659,10 @@ function getTime () {
   return "SELECT round(date_part('epoch', now()) * 1000) as time"
 }
 
+function notify () {
+  return 'SELECT pg_notify($1, $2)'
+}
+
 function getVersion (schema) {
   return `SELECT version from ${schema}.version`
 }
@@ -502,58 +679,394 @@ function insertVersion (schema, version) {
   return `INSERT INTO ${schema}.version(version) VALUES ('${version}')`
 }
 
-function fetchNextJob (schema) {
-  return ({ includeMetadata, priority = true } = {}) => `
-    WITH next as (
-      SELECT id
-      FROM ${schema}.job
-      WHERE name = $1
-        AND state < '${JOB_STATES.active}'
-        AND start_after < now()
-      ORDER BY ${priority ? 'priority desc, ' : ''}created_on, id
-      LIMIT $2
+// a job's dependencies as rows, in the order they were given.
+// ids are only cast when they are uuids, so a malformed dependency never matches a job instead of failing the query.
+function dependencyRows () {
+  return `
+      SELECT e.value->>'name' as name,
+        CASE WHEN e.value->>'id' ~* '${UUID_PATTERN}' THEN (e.value->>'id')::uuid END as id,
+        e.position
+      FROM jsonb_array_elements(CASE WHEN jsonb_typeof(j.depends_on) = 'array' THEN j.depends_on ELSE '[]' END) WITH ORDINALITY as e (value, position)
+  `
+}
+
+// dependencies are looked up in both job and archive tables since completed parents may already be archived
+function findDependencies (where) {
+  return `
+    SELECT 1
+    FROM (${dependencyRows()}) d
+    WHERE ${where}
+  `
+}
+
+function dependencyInState (schema, condition) {
+  return `
+    EXISTS (SELECT 1 FROM ${schema}.job p WHERE p.name = d.name AND p.id = d.id AND ${condition})
+    OR EXISTS (SELECT 1 FROM ${schema}.archive p WHERE p.name = d.name AND p.id = d.id AND ${condition})
+  `
+}
+
+function unmetDependencies (schema) {
+  const met = `p.state = '${JOB_STATES.completed}' OR (j.dependency_policy = '${DEPENDENCY_POLICIES.run}' AND p.state > '${JOB_STATES.completed}')`
+  return findDependencies(`NOT (${dependencyInState(schema, `(${met})`)})`)
+}
+
+// an unfinished job in the same group that was inserted before the job aliased as j
+function earlierInGroup (schema) {
+  return `
+    SELECT 1 FROM ${schema}.job g
+    WHERE g.name = j.name
+      AND g.singleton_key = j.singleton_key
+      AND g.policy = '${QUEUE_POLICIES.grouped}'
+      AND g.state < '${JOB_STATES.completed}'
+      AND g.seq < j.seq
+  `
+}
+
+// states and outputs of a fetched job's dependencies, in the order they were given
+function dependencyResults (schema) {
+  return `
+    (
+      SELECT json_agg(json_build_object('name', d.name, 'id', d.id, 'state', p.state, 'output', p.output) ORDER BY d.position)
+      FROM (${dependencyRows()}) d
+      LEFT JOIN LATERAL (
+        SELECT state, output FROM ${schema}.job WHERE name = d.name AND id = d.id
+        UNION ALL
+        SELECT state, output FROM ${schema}.archive WHERE name = d.name AND id = d.id
+        LIMIT 1
+      ) p ON true
+    ) as dependencies
+  `
+}
+
+function fetchNextJob (schema, { history = false } = {}) {
+  // free concurrency slots are shuffled to reduce collisions between concurrent fetches.
+  // active jobs without a slot below the limit, such as those fetched before it was set or lowered, still count towards it.
+  // a collision is a unique violation on an active slot index, which rolls back the fetch.
+  // the rate limit bucket row is locked so concurrent fetches consume tokens one at a time.
+  // $3 is the owner of the fetched jobs, which includes the id of the fetching worker for job history.
+  return ({ includeMetadata, priority = true } = {}) => {
+    // waiting jobs are raised 1 priority for every priorityAgingSeconds since they could have been fetched
+    const aging = 'COALESCE(floor(EXTRACT(EPOCH FROM now() - start_after) / (SELECT priority_aging_seconds FROM limits)), 0)'
+    const order = `${priority ? `priority + ${aging} desc, ` : ''}CASE WHEN (SELECT fair_scheduling FROM limits) THEN COALESCE(fair_tag, 0) END, created_on, id`
+
+    const fetchable = `
+      j.name = $1
+      AND j.state < '${JOB_STATES.active}'
+      AND j.start_after < now()
+      AND NOT EXISTS (SELECT 1 FROM ${schema}.queue WHERE name = $1 AND paused)
+      AND (j.depends_on IS NULL OR NOT EXISTS (${unmetDependencies(schema)}))
+      AND (j.policy IS DISTINCT FROM '${QUEUE_POLICIES.grouped}' OR j.singleton_key IS NULL OR NOT EXISTS (${earlierInGroup(schema)}))
+    `
+
+    const columns = `j.${includeMetadata ? allJobColumns : baseJobColumns}, ${dependencyResults(schema)}`
+
+    return `
+    WITH limits as (
+      SELECT concurrency_limit, key_concurrency_limit, fair_scheduling, priority_aging_seconds FROM ${schema}.queue WHERE name = $1
+    ),
+    slots as (
+      SELECT slot, row_number() OVER (ORDER BY random()) as position
+      FROM limits, generate_series(1, limits.concurrency_limit) as slot
+      WHERE NOT EXISTS (
+        SELECT 1 FROM ${schema}.job WHERE name = $1 AND state = '${JOB_STATES.active}' AND concurrency_slot = slot
+      )
+    ),
+    key_ranked as (
+      SELECT j.id,
+        row_number() OVER (PARTITION BY j.singleton_key ORDER BY ${order})
+          + (SELECT count(*) FROM ${schema}.job WHERE name = $1 AND state = '${JOB_STATES.active}' AND singleton_key = j.singleton_key) as key_position
+      FROM ${schema}.job j, limits
+      WHERE ${fetchable}
+        AND j.singleton_key IS NOT NULL
+        AND limits.key_concurrency_limit IS NOT NULL
+    ),
+    bucket as (
+      SELECT LEAST(
+        rate_limit_count,
+        COALESCE(rate_tokens + GREATEST(0, EXTRACT(EPOCH FROM now() - rate_refilled_on)) * rate_limit_count / rate_limit_seconds, rate_limit_count)
+      ) as tokens
+      FROM ${schema}.queue
+      WHERE name = $1 AND rate_limit_count IS NOT NULL
+      FOR UPDATE
+    ),
+    next as (
+      SELECT id, singleton_key as job_key
+      FROM ${schema}.job j
+      WHERE ${fetchable}
+        AND (
+          j.singleton_key IS NULL
+          OR (SELECT key_concurrency_limit FROM limits) IS NULL
+          OR j.id IN (SELECT id FROM key_ranked WHERE key_position <= (SELECT key_concurrency_limit FROM limits))
+        )
+      ORDER BY ${order}
+      LIMIT LEAST(
+        $2,
+        CASE WHEN (SELECT concurrency_limit FROM limits) IS NOT NULL THEN LEAST(
+          (SELECT count(*) FROM slots),
+          GREATEST((SELECT concurrency_limit FROM limits) - (SELECT count(*) FROM ${schema}.job WHERE name = $1 AND state = '${JOB_STATES.active}'), 0)
+        ) END,
+        (SELECT floor(tokens)::int FROM bucket)
+      )
       FOR UPDATE SKIP LOCKED
-    )
+    ),
+    key_slots as (
+      SELECT k.job_key, slot, row_number() OVER (PARTITION BY k.job_key ORDER BY random()) as key_position
+      FROM (SELECT DISTINCT job_key FROM next WHERE job_key IS NOT NULL) k,
+        limits,
+        generate_series(1, limits.key_concurrency_limit) as slot
+      WHERE NOT EXISTS (
+        SELECT 1 FROM ${schema}.job WHERE name = $1 AND state = '${JOB_STATES.active}' AND singleton_key = k.job_key AND key_slot = slot
+      )
+    ),
+    consumed as (
+      UPDATE ${schema}.queue SET
+        rate_tokens = bucket.tokens - (SELECT count(*) FROM next),
+        rate_refilled_on = GREATEST(rate_refilled_on, now())
+      FROM bucket
+      WHERE name = $1
+    ),
+    assigned as (
+      SELECT id,
+        job_key,
+        row_number() OVER () as position,
+        row_number() OVER (PARTITION BY job_key) as key_position
+      FROM next
+    )${history ? ',\n    results as (' : ''}
     UPDATE ${schema}.job j SET
       state = '${JOB_STATES.active}',
       started_on = now(),
+      heartbeat_on = NULL,
+      owner = $3::jsonb,
+      concurrency_slot = slots.slot,
+      key_slot = key_slots.slot,
       retry_count = CASE WHEN started_on IS NOT NULL THEN retry_count + 1 ELSE retry_count END
-    FROM next
-    WHERE name = $1 AND j.id = next.id
-    RETURNING j.${includeMetadata ? allJobColumns : baseJobColumns}      
+    FROM assigned
+      LEFT JOIN slots ON slots.position = assigned.position
+      LEFT JOIN key_slots ON key_slots.job_key = assigned.job_key AND key_slots.key_position = assigned.key_position
+    WHERE name = $1 AND j.id = assigned.id
+    ${history
+      ? `RETURNING j.*
+    )${jobHistory(schema, true, { workerId: '$3::jsonb->>\'workerId\'', output: 'NULL' })}
+    SELECT ${columns} FROM results j`
+      : `RETURNING ${columns}`}
   `
+  }
+}
+
+const JOB_IDS = 'name = $1 AND id IN (SELECT UNNEST($2::uuid[]))'
+
+// complete and fail by id only affect jobs with an owner containing $4, if given
+const OWNED = '($4::jsonb IS NULL OR owner @> $4::jsonb)'
+
+// bulk operations by filter: $2 states, $3 singleton key, $4 data containment, $5 created on or after, $6 created before
+const JOB_FILTER = `name = $1
+        AND ($2::text[] IS NULL OR state::text = ANY($2::text[]))
+        AND ($3::text IS NULL OR singleton_key = $3::text)
+        AND ($4::jsonb IS NULL OR data @> $4::jsonb)
+        AND ($5::timestamptz IS NULL OR created_on >= $5::timestamptz)
+        AND ($6::timestamptz IS NULL OR created_on < $6::timestamptz)`
+
+// affected jobs as reported by job events
+const JOB_EVENT = `json_build_object(
+      'id', id,
+      'name', name,
+      'state', state,
+      'duration', round(EXTRACT(epoch FROM (COALESCE(completed_on, now()) - started_on)) * 1000),
+      'output', output
+    )`
+
+// with job history, each job in the results cte is recorded in the job_event table.
+// the attempt is the one that ended in this state, and the worker of a completed or failed
+// attempt is taken from the event recorded when it was fetched.
+function jobHistory (schema, history, { attempt = 'retry_count + 1', workerId = 'NULL', output = 'output' } = {}) {
+  if (!history) {
+    return ''
+  }
+
+  return `,
+    history as (
+      INSERT INTO ${schema}.job_event (job_id, name, state, attempt, worker_id, output)
+      SELECT id, name, state, ${attempt}, ${workerId}, ${output}
+      FROM results
+    )`
+}
+
+const ACTIVE_WORKER = (schema, attempt = 'results.retry_count + 1') => `(
+        SELECT e.worker_id
+        FROM ${schema}.job_event e
+        WHERE e.name = results.name
+          AND e.job_id = results.id
+          AND e.attempt = ${attempt}
+          AND e.state = '${JOB_STATES.active}'
+        ORDER BY e.id DESC
+        LIMIT 1
+      )`
+
+// commands by filter return the ids of affected jobs instead of a count
+function jobSelection (filter, events = false) {
+  return filter
+    ? { where: JOB_FILTER, results: `SELECT id${events ? `, ${JOB_EVENT} as event` : ''} FROM results` }
+    : { where: JOB_IDS, results: `SELECT COUNT(*)${events ? `, json_agg(${JOB_EVENT}) as events` : ''} FROM results` }
 }
 
-function completeJobs (schema) {
+function completeJobs (schema, { filter = false, events = false, history = false } = {}) {
+  const { where, results } = jobSelection(filter, events)
+  const owned = filter ? 'true' : OWNED
+
   return `
     WITH results AS (
       UPDATE ${schema}.job
       SET completed_on = now(),
         state = '${JOB_STATES.completed}',
-        output = $3::jsonb
+        output = ${filter ? '$7' : '$3'}::jsonb
+      WHERE ${where}
+        AND state = '${JOB_STATES.active}'
+        AND ${owned}
+      RETURNING *
+    )${jobHistory(schema, history, { workerId: ACTIVE_WORKER(schema) })}
+    ${results}
+  `
+}
+
+function touchJobs (schema) {
+  return `
+    WITH results AS (
+      UPDATE ${schema}.job
+      SET heartbeat_on = now()
       WHERE name = $1
         AND id IN (SELECT UNNEST($2::uuid[]))
         AND state = '${JOB_STATES.active}'
-      RETURNING *
+      RETURNING 1
     )
     SELECT COUNT(*) FROM results
   `
 }
 
-function failJobsById (schema) {
-  const where = `name = $1 AND id IN (SELECT UNNEST($2::uuid[])) AND state < '${JOB_STATES.completed}'`
+function progressJobs (schema) {
+  return `
+    WITH results AS (
+      UPDATE ${schema}.job
+      SET progress = $3::jsonb
+      WHERE ${JOB_IDS}
+        AND state = '${JOB_STATES.active}'
+      RETURNING 1
+    )
+    SELECT COUNT(*) FROM results
+  `
+}
+
+function releaseJobs (schema, { history = false } = {}) {
+  const releasedState = `CASE WHEN j.retry_count > 0 THEN '${JOB_STATES.retry}' ELSE '${JOB_STATES.created}' END::${schema}.job_state`
+
+  // retry_count is already rewound in results, so a released retry was on the attempt after it
+  const attempt = `CASE WHEN results.state = '${JOB_STATES.retry}' THEN results.retry_count + 2 ELSE 1 END`
+
+  // started_on and retry_count are rewound so the next fetch doesn't count as a retry.
+  // jobs that would violate a short or stately policy unique index are skipped.
+  return `
+    WITH results AS (
+      UPDATE ${schema}.job j SET
+        state = ${releasedState},
+        retry_count = GREATEST(j.retry_count - 1, 0),
+        started_on = CASE WHEN j.retry_count > 0 THEN j.started_on END,
+        heartbeat_on = NULL,
+        owner = NULL
+      WHERE j.name = $1
+        AND j.id IN (SELECT UNNEST($2::uuid[]))
+        AND j.state = '${JOB_STATES.active}'
+        AND NOT EXISTS (
+          SELECT 1
+          FROM ${schema}.job c
+          WHERE c.name = j.name
+            AND c.policy = j.policy
+            AND c.state = ${releasedState}
+            AND COALESCE(c.singleton_key, '') = COALESCE(j.singleton_key, '')
+            AND (j.policy = '${QUEUE_POLICIES.stately}' OR (j.policy = '${QUEUE_POLICIES.short}' AND j.retry_count = 0))
+        )
+      RETURNING j.*
+    )${jobHistory(schema, history, { attempt, workerId: ACTIVE_WORKER(schema, attempt) })}
+    SELECT id FROM results
+  `
+}
+
+function failJobsById (schema, { events = false, history = false } = {}) {
+  const where = `${JOB_IDS} AND state < '${JOB_STATES.completed}' AND ${OWNED}`
   const output = '$3::jsonb'
 
-  return failJobs(schema, where, output)
+  return failJobs(schema, where, output, { results: jobSelection(false, events).results, history })
+}
+
+function failJobsByFilter (schema, { events = false, history = false } = {}) {
+  const where = `${JOB_FILTER} AND state < '${JOB_STATES.completed}'`
+  const output = '$7::jsonb'
+
+  return failJobs(schema, where, output, { results: jobSelection(true, events).results, history })
 }
 
-function failJobsByTimeout (schema) {
-  const where = `state = '${JOB_STATES.active}' AND (started_on + expire_in) < now()`
+function failJobsByTimeout (schema, { events = false, history = false } = {}) {
+  const where = `state = '${JOB_STATES.active}' AND (COALESCE(heartbeat_on, started_on) + expire_in) < now()`
   const output = '\'{ "value": { "message": "job failed by timeout in active state" } }\'::jsonb'
-  return failJobs(schema, where, output)
+  return failJobs(schema, where, output, { results: jobSelection(false, events).results, history })
 }
 
-function failJobs (schema, where, output) {
+function failJobsByDependency (schema, { events = false, history = false } = {}) {
+  const failedDependencies = findDependencies(dependencyInState(schema, `p.state > '${JOB_STATES.completed}'`))
+  const output = '\'{ "value": { "message": "job failed because a dependency did not complete" } }\'::jsonb'
+
+  return `
+    WITH results AS (
+      UPDATE ${schema}.job j SET
+        state = CASE
+          WHEN dependency_policy = '${DEPENDENCY_POLICIES.cancel}' THEN '${JOB_STATES.cancelled}'::${schema}.job_state
+          ELSE '${JOB_STATES.failed}'::${schema}.job_state
+          END,
+        completed_on = now(),
+        output = CASE
+          WHEN dependency_policy = '${DEPENDENCY_POLICIES.cancel}' THEN output
+          ELSE ${output}
+          END
+      WHERE state < '${JOB_STATES.active}'
+        AND j.depends_on IS NOT NULL
+        AND j.dependency_policy <> '${DEPENDENCY_POLICIES.run}'
+        AND EXISTS (${failedDependencies})
+      RETURNING *
+    )${jobHistory(schema, history)}
+    ${jobSelection(false, events).results}
+  `
+}
+
+// an error with retry set to false, such as an UnrecoverableError, skips any remaining retries
+function retryable (output) {
+  return `retry_count < retry_limit AND (${output})->'retry' IS DISTINCT FROM 'false'::jsonb`
+}
+
+// an error's retryAfter seconds take precedence over the job's retry config.
+// retryBackoff is the exponential strategy when a retryStrategy isn't set.
+function retryStartAfter (output) {
+  const strategy = `COALESCE(retry_strategy, CASE WHEN retry_backoff THEN '${RETRY_STRATEGIES.exponential}' ELSE '${RETRY_STRATEGIES.fixed}' END)`
+  const retryAfter = `(${output})->'retryAfter'`
+
+  return `
+    CASE
+      WHEN NOT (${retryable(output)}) THEN start_after
+      WHEN jsonb_typeof(${retryAfter}) = 'number' THEN now() + (${retryAfter})::text::float * interval '1s'
+      WHEN retry_delays IS NOT NULL THEN now() + COALESCE(retry_delays->>LEAST(retry_count, jsonb_array_length(retry_delays) - 1), '0')::int * interval '1s'
+      WHEN ${strategy} = '${RETRY_STRATEGIES.linear}' THEN now() + LEAST(retry_delay * (retry_count + 1), retry_delay_max) * interval '1s'
+      WHEN ${strategy} = '${RETRY_STRATEGIES.exponential}' THEN now() + LEAST(
+          GREATEST(retry_delay, 1) * 2 ^ LEAST(16, retry_count + 1) / 2 +
+          GREATEST(retry_delay, 1) * 2 ^ LEAST(16, retry_count + 1) / 2 * random(),
+          retry_delay_max
+        ) * interval '1s'
+      WHEN ${strategy} = '${RETRY_STRATEGIES.jitter}' THEN now() + LEAST(
+          GREATEST(retry_delay, 1) + (GREATEST(retry_delay, 1) * 3 ^ LEAST(16, retry_count + 1) - GREATEST(retry_delay, 1)) * random(),
+          retry_delay_max
+        ) * interval '1s'
+      ELSE now() + retry_delay * interval '1s'
+    END`
+}
+
+function failJobs (schema, where, output, { results = 'SELECT COUNT(*) FROM results', history = false } = {}) {
   return `
     WITH deleted_jobs AS (
       DELETE FROM ${schema}.job
@@ -571,8 +1084,12 @@ function failJobs (schema, where, output) {
         retry_count,
         retry_delay,
         retry_backoff,
+        retry_strategy,
+        retry_delay_max,
+        retry_delays,
         start_after,
         started_on,
+        heartbeat_on,
         singleton_key,
         singleton_on,
         expire_in,
@@ -581,6 +1098,14 @@ function failJobs (schema, where, output) {
         keep_until,
         dead_letter,
         policy,
+        depends_on,
+        dependency_policy,
+        source_name,
+        source_id,
+        progress,
+        owner,
+        fair_tag,
+        seq,
         output
       )
       SELECT
@@ -589,33 +1114,41 @@ function failJobs (schema, where, output) {
         priority,
         data,
         CASE
-          WHEN retry_count < retry_limit THEN '${JOB_STATES.retry}'::${schema}.job_state
+          WHEN ${retryable(output)} THEN '${JOB_STATES.retry}'::${schema}.job_state
           ELSE '${JOB_STATES.failed}'::${schema}.job_state
           END as state,
         retry_limit,
         retry_count,
         retry_delay,
         retry_backoff,
-        CASE
-          WHEN retry_count = retry_limit THEN start_after
-          WHEN NOT retry_backoff THEN now() + retry_delay * interval '1'
-          ELSE now() + (
-                retry_delay * 2 ^ LEAST(16, retry_count + 1) / 2 +
-                retry_delay * 2 ^ LEAST(16, retry_count + 1) / 2 * random()
-            ) * interval '1'
-          END as start_after,
+        retry_strategy,
+        retry_delay_max,
+        retry_delays,
+        ${retryStartAfter(output)} as start_after,
         started_on,
+        heartbeat_on,
         singleton_key,
         singleton_on,
         expire_in,
         created_on,
         CASE
-          WHEN retry_count < retry_limit THEN NULL
+          WHEN ${retryable(output)} THEN NULL
           ELSE now()
           END as completed_on,
         keep_until,
         dead_letter,
-        policy,        
+        policy,
+        depends_on,
+        dependency_policy,
+        source_name,
+        source_id,
+        CASE
+          WHEN ${retryable(output)} THEN NULL
+          ELSE progress
+          END as progress,
+        owner,
+        fair_tag,
+        seq,
         ${output}
       FROM deleted_jobs
       ON CONFLICT DO NOTHING
@@ -632,8 +1165,12 @@ function failJobs (schema, where, output) {
         retry_count,
         retry_delay,
         retry_backoff,
+        retry_strategy,
+        retry_delay_max,
+        retry_delays,
         start_after,
         started_on,
+        heartbeat_on,
         singleton_key,
         singleton_on,
         expire_in,
@@ -642,6 +1179,14 @@ function failJobs (schema, where, output) {
         keep_until,
         dead_letter,
         policy,
+        depends_on,
+        dependency_policy,
+        source_name,
+        source_id,
+        progress,
+        owner,
+        fair_tag,
+        seq,
         output
       )
       SELECT
@@ -654,8 +1199,12 @@ function failJobs (schema, where, output) {
         retry_count,
         retry_delay,
         retry_backoff,
+        retry_strategy,
+        retry_delay_max,
+        retry_delays,
         start_after,
         started_on,
+        heartbeat_on,
         singleton_key,
         singleton_on,
         expire_in,
@@ -664,6 +1213,14 @@ function failJobs (schema, where, output) {
         keep_until,
         dead_letter,
         policy,
+        depends_on,
+        dependency_policy,
+        source_name,
+        source_id,
+        progress,
+        owner,
+        fair_tag,
+        seq,
         ${output}
       FROM deleted_jobs
       WHERE id NOT IN (SELECT id from retried_jobs)
@@ -675,64 +1232,143 @@ function failJobs (schema, where, output) {
       SELECT * FROM failed_jobs
     ),
     dlq_jobs as (
-      INSERT INTO ${schema}.job (name, data, output, retry_limit, keep_until)
+      INSERT INTO ${schema}.job (name, data, output, retry_limit, keep_until, source_name, source_id)
       SELECT
         dead_letter,
         data,
         output,
         retry_limit,
-        keep_until + (keep_until - start_after)
+        keep_until + (keep_until - start_after),
+        name,
+        id
       FROM results
       WHERE state = '${JOB_STATES.failed}'
         AND dead_letter IS NOT NULL
         AND NOT name = dead_letter
-    )
-    SELECT COUNT(*) FROM results
+    )${jobHistory(schema, history, { workerId: ACTIVE_WORKER(schema) })}
+    ${results}
   `
 }
 
-function cancelJobs (schema) {
+function cancelJobs (schema, { filter = false, events = false, history = false } = {}) {
+  const { where, results } = jobSelection(filter, events)
+
   return `
     with results as (
       UPDATE ${schema}.job
       SET completed_on = now(),
         state = '${JOB_STATES.cancelled}'
-      WHERE name = $1
-        AND id IN (SELECT UNNEST($2::uuid[]))
+      WHERE ${where}
         AND state < '${JOB_STATES.completed}'
-      RETURNING 1
-    )
-    SELECT COUNT(*) from results
+      RETURNING *
+    )${jobHistory(schema, history, { output: 'NULL' })}
+    ${results}
+  `
+}
+
+// ids of the jobs matching where that can be moved to state without violating a short, stately or throttle unique index.
+// jobs are skipped if a job of the same key is already in that state (or that throttle slot),
+// and only the first job of each key is moved when several of them match.
+function policyAllowedJobs (schema, where, state) {
+  const keyed = `(j.policy = '${QUEUE_POLICIES.stately}'${state === JOB_STATES.created ? ` OR j.policy = '${QUEUE_POLICIES.short}'` : ''})`
+  const throttled = `(j.state = '${JOB_STATES.cancelled}' AND j.singleton_on IS NOT NULL)`
+
+  return `
+        SELECT id FROM (
+          SELECT j.id,
+            ${keyed} as keyed,
+            ${throttled} as throttled,
+            row_number() OVER (PARTITION BY j.name, ${keyed}, COALESCE(j.singleton_key, '') ORDER BY j.created_on, j.id) as key_rank,
+            row_number() OVER (PARTITION BY j.name, ${throttled}, j.singleton_on, COALESCE(j.singleton_key, '') ORDER BY j.created_on, j.id) as slot_rank
+          FROM ${schema}.job j
+          WHERE ${where}
+            AND NOT EXISTS (
+              SELECT 1
+              FROM ${schema}.job c
+              WHERE c.name = j.name
+                AND COALESCE(c.singleton_key, '') = COALESCE(j.singleton_key, '')
+                AND (
+                  (${keyed} AND c.policy = j.policy AND c.state = '${state}')
+                  OR (${throttled} AND c.singleton_on = j.singleton_on AND c.state <> '${JOB_STATES.cancelled}')
+                )
+            )
+        ) candidates
+        WHERE (NOT keyed OR key_rank = 1) AND (NOT throttled OR slot_rank = 1)
   `
 }
 
-function resumeJobs (schema) {
+function resumeJobs (schema, { filter = false, history = false } = {}) {
+  const { where, results } = jobSelection(filter)
+  const resumable = `state = '${JOB_STATES.cancelled}'`
+
   return `
     with results as (
       UPDATE ${schema}.job
       SET completed_on = NULL,
         state = '${JOB_STATES.created}'
       WHERE name = $1
-        AND id IN (SELECT UNNEST($2::uuid[]))
-        AND state = '${JOB_STATES.cancelled}'
-      RETURNING 1
-    )
-    SELECT COUNT(*) from results
+        AND id IN (${policyAllowedJobs(schema, `${where} AND ${resumable}`, JOB_STATES.created)})
+        AND ${resumable}
+      RETURNING *
+    )${jobHistory(schema, history, { output: 'NULL' })}
+    ${results}
   `
 }
 
-function deleteJobs (schema) {
+// failed or cancelled jobs are retried from scratch with a full retry budget
+function retryJobs (schema, { history = false } = {}) {
+  const { where, results } = jobSelection(true)
+  const retryable = `state > '${JOB_STATES.completed}'`
+
   return `
     with results as (
-      DELETE FROM ${schema}.job
+      UPDATE ${schema}.job
+      SET state = '${JOB_STATES.retry}',
+        retry_count = 0,
+        start_after = now(),
+        started_on = NULL,
+        heartbeat_on = NULL,
+        completed_on = NULL,
+        owner = NULL
       WHERE name = $1
-        AND id IN (SELECT UNNEST($2::uuid[]))        
-      RETURNING 1
+        AND id IN (${policyAllowedJobs(schema, `${where} AND ${retryable}`, JOB_STATES.retry)})
+        AND ${retryable}
+      RETURNING *
+    )${jobHistory(schema, history, { output: 'NULL' })}
+    ${results}
+  `
+}
+
+function deleteJobs (schema, { filter = false } = {}) {
+  const { where, results } = jobSelection(filter)
+
+  return `
+    with results as (
+      DELETE FROM ${schema}.job
+      WHERE ${where}
+      RETURNING id
     )
-    SELECT COUNT(*) from results
+    ${results}
   `
 }
 
+const fairIncrement = key => `1.0 / COALESCE((q.fair_weights->>${key})::float, 1)`
+
+// start-time fair queuing: a job is tagged after the last queued job of its group (singleton key),
+// or at the queue's current virtual time (its lowest queued tag) if the group has nothing queued.
+// each job advances its group by 1/weight, so groups are interleaved regardless of how many jobs they send.
+// both tags are read from the end of the job_i9 and job_i10 indexes.
+function fairTag (schema, name, key) {
+  const queued = `state < '${JOB_STATES.active}' AND fair_tag IS NOT NULL`
+  const lastInGroup = group => `(SELECT fair_tag FROM ${schema}.job WHERE name = ${name} AND ${group} AND ${queued} ORDER BY fair_tag DESC LIMIT 1)`
+
+  return `
+      GREATEST(
+        COALESCE((SELECT fair_tag FROM ${schema}.job WHERE name = ${name} AND ${queued} ORDER BY fair_tag LIMIT 1), 0),
+        COALESCE(CASE WHEN ${key} IS NULL THEN ${lastInGroup('singleton_key IS NULL')} ELSE ${lastInGroup(`singleton_key = ${key}`)} END + ${fairIncrement(key)}, 0)
+      )`
+}
+
 function insertJob (schema) {
   return `
     INSERT INTO ${schema}.job (
@@ -749,7 +1385,13 @@ function insertJob (schema) {
       retry_limit,
       retry_delay,
       retry_backoff,
-      policy
+      retry_strategy,
+      retry_delay_max,
+      retry_delays,
+      policy,
+      depends_on,
+      dependency_policy,
+      fair_tag
     )
     SELECT
       id,
@@ -777,7 +1419,13 @@ function insertJob (schema) {
         ELSE COALESCE(j.retry_delay, q.retry_delay, retry_delay_default, 0)
         END as retry_delay,
       COALESCE(j.retry_backoff, q.retry_backoff, retry_backoff_default, false) as retry_backoff,
-      q.policy
+      COALESCE(j.retry_strategy, q.retry_strategy) as retry_strategy,
+      COALESCE(j.retry_delay_max, q.retry_delay_max) as retry_delay_max,
+      COALESCE(j.retry_delays, q.retry_delays) as retry_delays,
+      q.policy,
+      depends_on,
+      dependency_policy,
+      CASE WHEN q.fair_scheduling THEN ${fairTag(schema, 'j.name', 'j.singleton_key')} END as fair_tag
     FROM
       ( SELECT
           COALESCE($1::uuid, gen_random_uuid()) as id,
@@ -803,22 +1451,67 @@ function insertJob (schema) {
           $16::int as retry_delay,
           $17::int as retry_delay_default,
           $18::bool as retry_backoff,
-          $19::bool as retry_backoff_default
+          $19::bool as retry_backoff_default,
+          $20::jsonb as depends_on,
+          $21 as dependency_policy,
+          $22 as retry_strategy,
+          $23::int as retry_delay_max,
+          $24::jsonb as retry_delays
       ) j JOIN ${schema}.queue q ON j.name = q.name
     ON CONFLICT DO NOTHING
     RETURNING id
   `
 }
 
-function insertJobs (schema) {
+// strict inserts fail instead of skipping a job that conflicts with a queue policy or is sent to a missing queue.
+// jobs is a json array of jobs, which can be selected from a data-modifying statement in source.
+// fair tags are looked up once for each group in the batch, and jobs in a group are tagged in the order they were given.
+function insertJobs (schema, { strict = false, jobs = '$1', source } = {}) {
   return `
-    WITH defaults as (
+    WITH ${source ? `${source},` : ''}
+    defaults as (
       SELECT 
         $2 as expire_in,
         $3 as keep_until,
         $4::int as retry_limit,
         $5::int as retry_delay,
         $6::bool as retry_backoff
+    ),
+    input as (
+      SELECT *,
+        CASE
+          WHEN right("startAfter", 1) = 'Z' THEN CAST("startAfter" as timestamp with time zone)
+          ELSE now() + CAST(COALESCE("startAfter",'0') as interval)
+          END as start_after
+      FROM json_array_elements(${jobs}) WITH ORDINALITY as e (value, position),
+        json_to_record(e.value) as x (
+        id uuid,
+        name text,
+        priority integer,
+        data jsonb,
+        "startAfter" text,
+        "retryLimit" integer,
+        "retryDelay" integer,
+        "retryBackoff" boolean,
+        "retryStrategy" text,
+        "retryDelayMax" integer,
+        "retryDelays" jsonb,
+        "singletonKey" text,
+        "singletonSeconds" integer,
+        "expireInSeconds" integer,
+        "keepUntil" timestamp with time zone,
+        "deadLetter" text,
+        "dependsOn" jsonb,
+        "dependencyPolicy" text,
+        "sourceName" text,
+        "sourceId" uuid
+      ) 
+    ),
+    fair as (
+      SELECT g.name, g.key IS NULL as no_key, COALESCE(g.key, '') as key, ${fairTag(schema, 'g.name', 'g.key')} as tag
+      FROM (SELECT DISTINCT name, "singletonKey" as key FROM input) g
+        JOIN ${schema}.queue q ON g.name = q.name
+      WHERE q.fair_scheduling
     )
     INSERT INTO ${schema}.job (
       id,
@@ -834,7 +1527,15 @@ function insertJobs (schema) {
       retry_limit,
       retry_delay,
       retry_backoff,
-      policy
+      retry_strategy,
+      retry_delay_max,
+      retry_delays,
+      policy,
+      depends_on,
+      dependency_policy,
+      fair_tag,
+      source_name,
+      source_id
     )
     SELECT
       COALESCE(id, gen_random_uuid()) as id,
@@ -865,44 +1566,121 @@ function insertJobs (schema) {
         ELSE COALESCE("retryDelay", q.retry_delay, defaults.retry_delay, 0)
         END as retry_delay,      
       COALESCE("retryBackoff", q.retry_backoff, defaults.retry_backoff, false) as retry_backoff,
-      q.policy
-    FROM (
-      SELECT *,
-        CASE
-          WHEN right("startAfter", 1) = 'Z' THEN CAST("startAfter" as timestamp with time zone)
-          ELSE now() + CAST(COALESCE("startAfter",'0') as interval)
-          END as start_after
-      FROM json_to_recordset($1) as x (
-        id uuid,
-        name text,
-        priority integer,
-        data jsonb,
-        "startAfter" text,
-        "retryLimit" integer,
-        "retryDelay" integer,
-        "retryBackoff" boolean,
-        "singletonKey" text,
-        "singletonSeconds" integer,
-        "expireInSeconds" integer,
-        "keepUntil" timestamp with time zone,
-        "deadLetter" text
-      ) 
-    ) j
-    JOIN ${schema}.queue q ON j.name = q.name,
+      COALESCE("retryStrategy", q.retry_strategy) as retry_strategy,
+      COALESCE("retryDelayMax", q.retry_delay_max) as retry_delay_max,
+      COALESCE("retryDelays", q.retry_delays) as retry_delays,
+      q.policy,
+      "dependsOn" as depends_on,
+      CASE
+        WHEN "dependsOn" IS NOT NULL THEN COALESCE("dependencyPolicy", '${DEPENDENCY_POLICIES.fail}')
+        ELSE NULL
+        END as dependency_policy,
+      f.tag + (row_number() OVER (PARTITION BY j.name, j."singletonKey" ORDER BY j.position) - 1) * ${fairIncrement('j."singletonKey"')} as fair_tag,
+      "sourceName" as source_name,
+      "sourceId" as source_id
+    FROM input j
+    ${strict ? 'LEFT JOIN' : 'JOIN'} ${schema}.queue q ON j.name = q.name
+    LEFT JOIN fair f ON f.name = j.name AND f.no_key = (j."singletonKey" IS NULL) AND f.key = COALESCE(j."singletonKey", ''),
       defaults
-    ON CONFLICT DO NOTHING
+    ORDER BY j.position
+    ${strict ? 'RETURNING id, name' : 'ON CONFLICT DO NOTHING'}
+  `
+}
+
+// moves jobs out of a dead letter queue into their source queue, or into a target queue if given
+function redriveJobs (schema) {
+  const source = `
+    dead as MATERIALIZED (
+      SELECT id FROM ${schema}.job
+      WHERE name = $1
+        AND state <> '${JOB_STATES.active}'
+        AND state <> '${JOB_STATES.completed}'
+        AND COALESCE($8, source_name) IS NOT NULL
+        AND ($7::jsonb IS NULL OR data @> $7::jsonb)
+      ORDER BY created_on, id
+      LIMIT $9
+      FOR UPDATE SKIP LOCKED
+    ),
+    redriven as (
+      DELETE FROM ${schema}.job j
+      USING dead
+      WHERE j.name = $1 AND j.id = dead.id
+      RETURNING j.*
+    )
   `
+
+  const jobs = `(
+    SELECT json_agg(json_build_object(
+      'name', COALESCE($8, source_name),
+      'data', data,
+      'sourceName', source_name,
+      'sourceId', source_id
+    ))
+    FROM redriven
+  )`
+
+  return insertJobs(schema, { strict: true, jobs, source })
+}
+
+// re-inserts a job with the same data and options, merged with any overrides, linked to the original by source_id
+function rerunJob (schema) {
+  const original = table => `
+    SELECT name, id, data, priority, retry_limit, retry_delay, retry_backoff, retry_strategy, retry_delay_max, retry_delays,
+      singleton_key, expire_in, dead_letter
+    FROM ${schema}.${table}
+    WHERE name = $1 AND id = $7
+  `
+
+  const source = `
+    original as (
+      ${original('job')}
+      UNION ALL
+      SELECT * FROM (${original('archive')}) archived WHERE $8::bool
+      LIMIT 1
+    )
+  `
+
+  const jobs = `(
+    SELECT jsonb_agg(
+      jsonb_build_object(
+        'name', name,
+        'data', data,
+        'priority', priority,
+        'retryLimit', retry_limit,
+        'retryDelay', retry_delay,
+        'retryBackoff', retry_backoff,
+        'retryStrategy', retry_strategy,
+        'retryDelayMax', retry_delay_max,
+        'retryDelays', retry_delays,
+        'singletonKey', singleton_key,
+        'expireInSeconds', EXTRACT(epoch FROM expire_in)::int,
+        'deadLetter', dead_letter
+      ) || $9::jsonb || jsonb_build_object('sourceName', name, 'sourceId', id)
+    )::json
+    FROM original
+  )`
+
+  return insertJobs(schema, { strict: true, jobs, source })
 }
 
+// job history is kept for as long as its job, and deleted once older than the archive retention
 function drop (schema, interval) {
-  return `
+  return [
+    `
     DELETE FROM ${schema}.archive
     WHERE archived_on < (now() - interval '${interval}')
-  `
+    `,
+    `
+    DELETE FROM ${schema}.job_event e
+    WHERE e.created_on < (now() - interval '${interval}')
+      AND NOT EXISTS (SELECT 1 FROM ${schema}.job WHERE name = e.name AND id = e.job_id)
+      AND NOT EXISTS (SELECT 1 FROM ${schema}.archive WHERE name = e.name AND id = e.job_id)
+    `
+  ]
 }
 
 function archive (schema, completedInterval, failedInterval = completedInterval) {
-  const columns = 'id, name, priority, data, state, retry_limit, retry_count, retry_delay, retry_backoff, start_after, started_on, singleton_key, singleton_on, expire_in, created_on, completed_on, keep_until, dead_letter, policy, output'
+  const columns = 'id, name, priority, data, state, retry_limit, retry_count, retry_delay, retry_backoff, retry_strategy, retry_delay_max, retry_delays, start_after, started_on, heartbeat_on, singleton_key, singleton_on, expire_in, created_on, completed_on, keep_until, dead_letter, policy, depends_on, dependency_policy, source_name, source_id, progress, owner, output'
 
   return `
     WITH archived_rows AS (
@@ -961,6 +1739,47 @@ function getArchivedJobById (schema) {
   return getJobByTableQueueId(schema, 'archive')
 }
 
+function getJobHistory (schema) {
+  return `
+    SELECT
+      id,
+      job_id as "jobId",
+      name,
+      state,
+      attempt,
+      worker_id as "workerId",
+      output,
+      created_on as "createdOn"
+    FROM ${schema}.job_event
+    WHERE name = $1 AND job_id = $2
+    ORDER BY id
+  `
+}
+
+// keyset pagination on (created_on, id). created_on is returned as text for the cursor to keep its microseconds
+function findJobs (schema) {
+  return ({ ascending }) => {
+    const direction = ascending ? 'ASC' : 'DESC'
+
+    const source = table => `
+      SELECT ${allJobColumns}, created_on::text as "cursorCreatedOn"
+      FROM ${schema}.${table}
+      WHERE ${JOB_FILTER}
+        AND ($8::timestamptz IS NULL OR (created_on, id) ${ascending ? '>' : '<'} ($8::timestamptz, $9::uuid))
+    `
+
+    return `
+      SELECT * FROM (
+        ${source('job')}
+        UNION ALL
+        SELECT * FROM (${source('archive')}) archived WHERE $7::bool
+      ) jobs
+      ORDER BY "createdOn" ${direction}, id ${direction}
+      LIMIT $10
+    `
+  }
+}
+
 function getJobByTableQueueId (schema, table) {
   return `SELECT ${allJobColumns} FROM ${schema}.${table} WHERE name = $1 AND id = $2`
 }
@@ -1,5 +1,15 @@
+// thrown by a handler to fail a job without retrying it
+class UnrecoverableError extends Error {
+  constructor (message, options) {
+    super(message, options)
+    this.name = 'UnrecoverableError'
+    this.retry = false
+  }
+}
+
 module.exports = {
-  delay
+  delay,
+  UnrecoverableError
 }
 
 function delay (ms, error) {
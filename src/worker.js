@@ -7,8 +7,16 @@ const WORKER_STATES = {
   stopped: 'stopped'
 }
 
+const SLOT_STATES = {
+  created: 'created',
+  fetching: 'fetching',
+  processing: 'processing',
+  waiting: 'waiting',
+  stopped: 'stopped'
+}
+
 class Worker {
-  constructor ({ id, name, options, interval, fetch, onFetch, onError }) {
+  constructor ({ id, name, options, interval, concurrency = 1, fetch, onFetch, onError }) {
     this.id = id
     this.name = name
     this.options = options
@@ -16,7 +24,6 @@ class Worker {
     this.onFetch = onFetch
     this.onError = onError
     this.interval = interval
-    this.jobs = []
     this.createdOn = Date.now()
     this.lastFetchedOn = null
     this.lastJobStartedOn = null
@@ -26,40 +33,65 @@ class Worker {
     this.state = WORKER_STATES.created
     this.stopping = false
     this.stopped = false
-    this.loopDelayPromise = null
-    this.beenNotified = false
+    this.slots = Array.from({ length: concurrency }, (_, index) => ({
+      index,
+      state: SLOT_STATES.created,
+      jobs: [],
+      lastFetchedOn: null,
+      lastJobStartedOn: null,
+      lastJobEndedOn: null,
+      loopDelayPromise: null,
+      beenNotified: false
+    }))
+  }
+
+  get jobs () {
+    return this.slots.flatMap(slot => slot.jobs)
   }
 
   notify () {
-    this.beenNotified = true
+    for (const slot of this.slots) {
+      slot.beenNotified = true
 
-    if (this.loopDelayPromise) {
-      this.loopDelayPromise.abort()
+      if (slot.loopDelayPromise) {
+        slot.loopDelayPromise.abort()
+      }
     }
   }
 
   async start () {
     this.state = WORKER_STATES.active
 
+    await Promise.all(this.slots.map(slot => this.run(slot)))
+
+    this.stopping = false
+    this.stopped = true
+    this.state = WORKER_STATES.stopped
+  }
+
+  async run (slot) {
     while (!this.stopping) {
       const started = Date.now()
 
       try {
-        this.beenNotified = false
+        slot.beenNotified = false
+        slot.state = SLOT_STATES.fetching
+
         const jobs = await this.fetch()
 
-        this.lastFetchedOn = Date.now()
+        this.lastFetchedOn = slot.lastFetchedOn = Date.now()
 
         if (jobs) {
-          this.jobs = jobs
+          slot.jobs = jobs
+          slot.state = SLOT_STATES.processing
 
-          this.lastJobStartedOn = this.lastFetchedOn
+          this.lastJobStartedOn = slot.lastJobStartedOn = slot.lastFetchedOn
 
           await this.onFetch(jobs)
 
-          this.lastJobEndedOn = Date.now()
+          this.lastJobEndedOn = slot.lastJobEndedOn = Date.now()
 
-          this.jobs = []
+          slot.jobs = []
         }
       } catch (err) {
         this.lastErrorOn = Date.now()
@@ -74,24 +106,25 @@ class Worker {
 
       this.lastJobDuration = duration
 
-      if (!this.stopping && !this.beenNotified && (this.interval - duration) > 100) {
-        this.loopDelayPromise = delay(this.interval - duration)
-        await this.loopDelayPromise
-        this.loopDelayPromise = null
+      if (!this.stopping && !slot.beenNotified && (this.interval - duration) > 100) {
+        slot.state = SLOT_STATES.waiting
+        slot.loopDelayPromise = delay(this.interval - duration)
+        await slot.loopDelayPromise
+        slot.loopDelayPromise = null
       }
     }
 
-    this.stopping = false
-    this.stopped = true
-    this.state = WORKER_STATES.stopped
+    slot.state = SLOT_STATES.stopped
   }
 
   stop () {
     this.stopping = true
     this.state = WORKER_STATES.stopping
 
-    if (this.loopDelayPromise) {
-      this.loopDelayPromise.abort()
+    for (const slot of this.slots) {
+      if (slot.loopDelayPromise) {
+        slot.loopDelayPromise.abort()
+      }
     }
   }
 }
@@ -1,5 +1,6 @@
 const assert = require('node:assert')
 const helper = require('./testHelper')
+const { delay } = require('../src/tools')
 
 describe('cancel', function () {
   it('should reject missing arguments', async function () {
@@ -78,4 +79,53 @@ describe('cancel', function () {
     assert(job && job.state === 'cancelled')
     assert.strictEqual(called, true)
   })
+  it('should reject an invalid state in a filter', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    try {
+      await boss.cancelJobs(queue, { state: 'pending' })
+      assert(false)
+    } catch (err) {
+      assert(err.message.includes('state'))
+    }
+  })
+
+  it('should cancel jobs matching a filter', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const id1 = await boss.send(queue, { tenant: 'a' }, { singletonKey: 'x' })
+    const id2 = await boss.send(queue, { tenant: 'a' })
+    const id3 = await boss.send(queue, { tenant: 'b' }, { singletonKey: 'x' })
+
+    const { affected } = await boss.cancelJobs(queue, { data: { tenant: 'a' }, singletonKey: 'x' })
+
+    assert.strictEqual(affected, 1)
+    assert.strictEqual((await boss.getJobById(queue, id1)).state, 'cancelled')
+    assert.strictEqual((await boss.getJobById(queue, id2)).state, 'created')
+    assert.strictEqual((await boss.getJobById(queue, id3)).state, 'created')
+  })
+
+  it('should cancel jobs created within a time range', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const id1 = await boss.send(queue)
+    const { createdOn } = await boss.getJobById(queue, id1)
+
+    await delay(100)
+
+    const id2 = await boss.send(queue)
+
+    const { affected } = await boss.cancelJobs(queue, { state: ['created', 'retry'], since: new Date(createdOn.getTime() + 1) })
+
+    assert.strictEqual(affected, 1)
+    assert.strictEqual((await boss.getJobById(queue, id1)).state, 'created')
+    assert.strictEqual((await boss.getJobById(queue, id2)).state, 'cancelled')
+
+    await boss.cancelJobs(queue, { until: new Date(createdOn.getTime() + 1) })
+
+    assert.strictEqual((await boss.getJobById(queue, id1)).state, 'cancelled')
+  })
 })
@@ -134,4 +134,25 @@ describe('complete', function () {
 
     assert.strictEqual(warningCount, 1)
   })
+  it('should complete active jobs matching a filter', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const id1 = await boss.send(queue, null, { singletonKey: 'a' })
+    const id2 = await boss.send(queue, null, { singletonKey: 'b' })
+    const id3 = await boss.send(queue, null, { singletonKey: 'a', startAfter: 60 })
+
+    await boss.fetch(queue, { batchSize: 2 })
+
+    const { affected } = await boss.completeJobs(queue, { singletonKey: 'a' }, { migrated: true })
+
+    assert.strictEqual(affected, 1)
+
+    const job1 = await boss.getJobById(queue, id1)
+
+    assert.strictEqual(job1.state, 'completed')
+    assert.strictEqual(job1.output.migrated, true)
+    assert.strictEqual((await boss.getJobById(queue, id2)).state, 'active')
+    assert.strictEqual((await boss.getJobById(queue, id3)).state, 'created')
+  })
 })
@@ -35,4 +35,36 @@ describe('delete', async function () {
 
     assert(!job)
   })
+  it('should reject an empty filter', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const id = await boss.send(queue)
+
+    for (const command of [() => boss.deleteJobs(queue, {}), () => boss.failJobs(queue, {}), () => boss.completeJobs(queue, { state: null })]) {
+      try {
+        await command()
+        assert(false)
+      } catch (err) {
+        assert(err.message.includes('filter requires'))
+      }
+    }
+
+    assert.strictEqual((await boss.getJobById(queue, id)).state, 'created')
+  })
+
+  it('should delete jobs matching a filter', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    await boss.send(queue, { tenant: 'a' })
+    await boss.send(queue, { tenant: 'a' })
+    const id = await boss.send(queue, { tenant: 'b' })
+
+    const { affected } = await boss.deleteJobs(queue, { data: { tenant: 'a' } })
+
+    assert.strictEqual(affected, 2)
+    assert.strictEqual(await boss.getQueueSize(queue), 1)
+    assert(await boss.getJobById(queue, id))
+  })
 })
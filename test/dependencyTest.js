@@ -0,0 +1,248 @@
+const assert = require('node:assert')
+const helper = require('./testHelper')
+const { delay } = require('../src/tools')
+
+describe('dependencies', function () {
+  it('should reject an invalid dependsOn option', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    try {
+      await boss.send(queue, null, { dependsOn: [{ name: queue }] })
+      assert(false)
+    } catch (err) {
+      assert(err.message.includes('dependsOn'))
+    }
+  })
+
+  it('should reject a dependency id that is not a uuid', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    try {
+      await boss.send(queue, null, { dependsOn: [{ name: queue, id: 'abc' }] })
+      assert(false)
+    } catch (err) {
+      assert(err.message.includes('dependsOn'))
+    }
+
+    try {
+      await boss.insert([{ name: queue, dependsOn: [{ name: queue, id: 'abc' }] }])
+      assert(false)
+    } catch (err) {
+      assert(err.message.includes('dependsOn'))
+    }
+  })
+
+  it('should not stall fetch or maintenance on a stored dependency that is not a uuid', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+    const schema = this.test.bossConfig.schema
+
+    const parentId = await boss.send(queue, null, { retryLimit: 0 })
+    const blockedId = await boss.send(queue, null, { dependsOn: [{ name: queue, id: parentId }] })
+
+    await boss.getDb().executeSql(`UPDATE ${schema}.job SET depends_on = '[{"name":"${queue}","id":"abc"}]' WHERE id = $1`, [blockedId])
+
+    const [job] = await boss.fetch(queue)
+
+    assert.strictEqual(job.id, parentId)
+
+    await boss.fail(queue, parentId)
+    await boss.maintain()
+
+    const blocked = await boss.getJobById(queue, blockedId)
+
+    assert.strictEqual(blocked.state, 'created')
+  })
+
+  it('should reject an invalid dependencyPolicy option', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const id = await boss.send(queue)
+
+    try {
+      await boss.send(queue, null, { dependsOn: [{ name: queue, id }], dependencyPolicy: 'wat' })
+      assert(false)
+    } catch (err) {
+      assert(err.message.includes('dependencyPolicy'))
+    }
+  })
+
+  it('should not fetch a job until its dependency is completed', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const parentId = await boss.send(queue)
+    const childId = await boss.send(queue, null, { dependsOn: [{ name: queue, id: parentId }] })
+
+    const [parent] = await boss.fetch(queue, { batchSize: 2 })
+
+    assert.strictEqual(parent.id, parentId)
+
+    const [blocked] = await boss.fetch(queue)
+
+    assert(!blocked)
+
+    await boss.complete(queue, parentId)
+
+    const [child] = await boss.fetch(queue)
+
+    assert.strictEqual(child.id, childId)
+  })
+
+  it('should wait for all dependencies across queues', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+    const otherQueue = queue + '_other'
+
+    await boss.createQueue(otherQueue)
+
+    const parent1 = await boss.send(otherQueue)
+    const parent2 = await boss.send(otherQueue)
+
+    const dependsOn = [{ name: otherQueue, id: parent1 }, { name: otherQueue, id: parent2 }]
+
+    const childId = await boss.send(queue, null, { dependsOn })
+
+    await boss.fetch(otherQueue, { batchSize: 2 })
+    await boss.complete(otherQueue, parent1)
+
+    const [blocked] = await boss.fetch(queue)
+
+    assert(!blocked)
+
+    await boss.complete(otherQueue, parent2)
+
+    const [child] = await boss.fetch(queue)
+
+    assert.strictEqual(child.id, childId)
+  })
+
+  it('should find a completed dependency in the archive', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, archiveCompletedAfterSeconds: 1 })
+    const queue = this.test.bossConfig.schema
+
+    const parentId = await boss.send(queue)
+
+    await boss.fetch(queue)
+    await boss.complete(queue, parentId)
+
+    await delay(1000)
+    await boss.maintain()
+
+    const childId = await boss.send(queue, null, { dependsOn: [{ name: queue, id: parentId }] })
+
+    const [child] = await boss.fetch(queue)
+
+    assert.strictEqual(child.id, childId)
+  })
+
+  it('should fail a job when a dependency fails by default', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const parentId = await boss.send(queue, null, { retryLimit: 0 })
+    const childId = await boss.send(queue, null, { dependsOn: [{ name: queue, id: parentId }] })
+
+    await boss.fetch(queue)
+    await boss.fail(queue, parentId)
+
+    await boss.maintain()
+
+    const child = await boss.getJobById(queue, childId)
+
+    assert.strictEqual(child.state, 'failed')
+    assert.strictEqual(child.dependencyPolicy, 'fail')
+    assert.deepStrictEqual(child.dependsOn, [{ name: queue, id: parentId }])
+  })
+
+  it('should cancel a job when a dependency is cancelled with the cancel policy', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const parentId = await boss.send(queue)
+    const childId = await boss.send(queue, null, { dependsOn: [{ name: queue, id: parentId }], dependencyPolicy: 'cancel' })
+
+    await boss.cancel(queue, parentId)
+
+    await boss.maintain()
+
+    const child = await boss.getJobById(queue, childId)
+
+    assert.strictEqual(child.state, 'cancelled')
+  })
+
+  it('should cascade failures through a chain of dependencies', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const id1 = await boss.send(queue)
+    const id2 = await boss.send(queue, null, { dependsOn: [{ name: queue, id: id1 }] })
+    const id3 = await boss.send(queue, null, { dependsOn: [{ name: queue, id: id2 }] })
+
+    await boss.cancel(queue, id1)
+
+    await boss.maintain()
+    await boss.maintain()
+
+    const job3 = await boss.getJobById(queue, id3)
+
+    assert.strictEqual(job3.state, 'failed')
+  })
+
+  it('should run a job after a dependency fails with the run policy', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const parentId = await boss.send(queue, null, { retryLimit: 0 })
+    const childId = await boss.send(queue, null, { dependsOn: [{ name: queue, id: parentId }], dependencyPolicy: 'run' })
+
+    await boss.fetch(queue)
+    await boss.fail(queue, parentId)
+
+    await boss.maintain()
+
+    const [child] = await boss.fetch(queue)
+
+    assert.strictEqual(child.id, childId)
+  })
+
+  it('should not run a job with the run policy while a dependency is retrying', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const parentId = await boss.send(queue, null, { retryLimit: 1, retryDelay: 60 })
+
+    await boss.send(queue, null, { dependsOn: [{ name: queue, id: parentId }], dependencyPolicy: 'run' })
+
+    await boss.fetch(queue)
+    await boss.fail(queue, parentId)
+
+    const [blocked] = await boss.fetch(queue)
+
+    assert(!blocked)
+  })
+
+  it('should accept dependencies in insert()', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const parentId = await boss.send(queue)
+
+    await boss.insert([{ name: queue, dependsOn: [{ name: queue, id: parentId }] }])
+
+    await boss.fetch(queue)
+
+    const [blocked] = await boss.fetch(queue)
+
+    assert(!blocked)
+
+    await boss.complete(queue, parentId)
+
+    const [child] = await boss.fetch(queue, { includeMetadata: true })
+
+    assert.strictEqual(child.dependencyPolicy, 'fail')
+  })
+})
@@ -1,6 +1,7 @@
 const { delay } = require('../src/tools')
 const assert = require('node:assert')
 const helper = require('./testHelper')
+const PgBoss = require('../')
 
 describe('failure', function () {
   it('should reject missing id argument', async function () {
@@ -187,6 +188,71 @@ describe('failure', function () {
     assert.strictEqual(job.data.key, queue)
   })
 
+  it('should skip remaining retries when a worker throws an UnrecoverableError', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true })
+
+    const queue = this.test.bossConfig.schema
+    const deadLetter = `${queue}_dlq`
+
+    await boss.createQueue(queue)
+    await boss.createQueue(deadLetter)
+
+    const jobId = await boss.send(queue, { key: queue }, { retryLimit: 3, deadLetter })
+
+    await boss.work(queue, { pollingIntervalSeconds: 0.5 }, async () => {
+      throw new PgBoss.UnrecoverableError('invalid payload')
+    })
+
+    await delay(1000)
+
+    const job = await boss.getJobById(queue, jobId)
+
+    assert.strictEqual(job.state, 'failed')
+    assert.strictEqual(job.retryCount, 0)
+    assert.strictEqual(job.output.message, 'invalid payload')
+    assert.strictEqual(job.output.name, 'UnrecoverableError')
+
+    const [dlqJob] = await boss.fetch(deadLetter)
+
+    assert.strictEqual(dlqJob.data.key, queue)
+  })
+
+  it('should skip remaining retries when failed with retry set to false', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const jobId = await boss.send(queue, null, { retryLimit: 1 })
+
+    await boss.fetch(queue)
+
+    const err = new Error('validation failed')
+    err.retry = false
+
+    await boss.fail(queue, jobId, err)
+
+    const job = await boss.getJobById(queue, jobId)
+
+    assert.strictEqual(job.state, 'failed')
+  })
+
+  it('should fail jobs matching a filter', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const id1 = await boss.send(queue, { tenant: 'a' }, { retryLimit: 0 })
+    const id2 = await boss.send(queue, { tenant: 'b' }, { retryLimit: 0 })
+
+    const { affected } = await boss.failJobs(queue, { data: { tenant: 'a' } }, new Error('tenant removed'))
+
+    assert.strictEqual(affected, 1)
+
+    const job1 = await boss.getJobById(queue, id1)
+
+    assert.strictEqual(job1.state, 'failed')
+    assert.strictEqual(job1.output.message, 'tenant removed')
+    assert.strictEqual((await boss.getJobById(queue, id2)).state, 'created')
+  })
+
   it('should fail active jobs in a worker during shutdown', async function () {
     const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
     const queue = this.test.bossConfig.schema
@@ -205,4 +271,127 @@ describe('failure', function () {
 
     assert.strictEqual(job?.id, jobId)
   })
+
+  it('should release active jobs in a worker during shutdown with the release option', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const jobId = await boss.send(queue, null, { retryLimit: 1 })
+
+    let signal
+
+    await boss.work(queue, async ([job]) => {
+      signal = job.signal
+      await delay(10000)
+    })
+
+    await delay(1000)
+
+    await boss.stop({ graceful: false, release: true })
+
+    assert(signal.aborted)
+
+    await boss.start()
+
+    const job1 = await boss.getJobById(queue, jobId)
+
+    assert.strictEqual(job1.state, 'created')
+    assert.strictEqual(job1.retryCount, 0)
+    assert.strictEqual(job1.startedOn, null)
+
+    await boss.fetch(queue)
+
+    const job2 = await boss.getJobById(queue, jobId)
+
+    assert.strictEqual(job2.state, 'active')
+    assert.strictEqual(job2.retryCount, 0)
+  })
+
+  it('should not fail a released job when its handler rejects on abort', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const jobId = await boss.send(queue, null, { retryLimit: 0 })
+
+    let rejected = false
+
+    await boss.work(queue, ([job]) => new Promise((resolve, reject) => {
+      job.signal.addEventListener('abort', () => {
+        rejected = true
+        reject(job.signal.reason)
+      })
+    }))
+
+    await delay(1000)
+
+    await boss.stop({ graceful: false, release: true, close: false })
+
+    await delay(500)
+
+    assert(rejected)
+
+    const job = await boss.getJobById(queue, jobId)
+
+    assert.strictEqual(job.state, 'created')
+
+    await boss.start()
+  })
+
+  it('should release a retried job in a worker during shutdown without using a retry', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const jobId = await boss.send(queue, null, { retryLimit: 2 })
+
+    await boss.fetch(queue)
+    await boss.fail(queue, jobId)
+
+    await boss.work(queue, async () => await delay(10000))
+
+    await delay(1000)
+
+    const active = await boss.getJobById(queue, jobId)
+
+    assert.strictEqual(active.retryCount, 1)
+
+    await boss.stop({ graceful: false, release: true })
+
+    await boss.start()
+
+    const job1 = await boss.getJobById(queue, jobId)
+
+    assert.strictEqual(job1.state, 'retry')
+    assert.strictEqual(job1.retryCount, 0)
+
+    await boss.fetch(queue)
+
+    const job2 = await boss.getJobById(queue, jobId)
+
+    assert.strictEqual(job2.retryCount, 1)
+  })
+
+  it('should fail an active job during shutdown with the release option if its stately policy blocks it', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true })
+    const queue = this.test.bossConfig.schema
+
+    await boss.createQueue(queue, { policy: 'stately' })
+
+    const jobId = await boss.send(queue, null, { retryLimit: 0 })
+
+    await boss.work(queue, async () => await delay(10000))
+
+    await delay(1000)
+
+    const queuedJobId = await boss.send(queue)
+
+    assert(queuedJobId)
+
+    await boss.stop({ graceful: false, release: true })
+
+    await boss.start()
+
+    const job = await boss.getJobById(queue, jobId)
+
+    assert.strictEqual(job.state, 'failed')
+  })
 })
@@ -0,0 +1,147 @@
+const assert = require('node:assert')
+const helper = require('./testHelper')
+
+describe('fairness', function () {
+  it('should reject invalid fairWeights', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true })
+    const queue = this.test.bossConfig.schema
+
+    try {
+      await boss.createQueue(queue, { fairScheduling: true, fairWeights: { a: 0 } })
+      assert(false)
+    } catch (err) {
+      assert(err.message.includes('fairWeights'))
+    }
+  })
+
+  it('should interleave groups that were sent in bulk', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true })
+    const queue = this.test.bossConfig.schema
+
+    await boss.createQueue(queue, { fairScheduling: true })
+
+    const { fairScheduling } = await boss.getQueue(queue)
+
+    assert.strictEqual(fairScheduling, true)
+
+    await boss.insert(Array.from({ length: 10 }, () => ({ name: queue, singletonKey: 'a' })))
+    await boss.insert(Array.from({ length: 2 }, () => ({ name: queue, singletonKey: 'b' })))
+    await boss.send(queue, null, { singletonKey: 'c' })
+
+    const keys = []
+
+    for (let i = 0; i < 6; i++) {
+      const [job] = await boss.fetch(queue, { includeMetadata: true })
+      keys.push(job.singletonKey)
+    }
+
+    assert.deepStrictEqual(keys.slice(0, 3).sort(), ['a', 'b', 'c'])
+    assert.deepStrictEqual(keys.slice(3, 5).sort(), ['a', 'b'])
+    assert.strictEqual(keys[5], 'a')
+  })
+
+  it('should not let a bulk insert delay a group sent later', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true })
+    const queue = this.test.bossConfig.schema
+
+    await boss.createQueue(queue, { fairScheduling: true })
+
+    await boss.insert(Array.from({ length: 20 }, () => ({ name: queue, singletonKey: 'a' })))
+
+    await boss.fetch(queue, { batchSize: 5 })
+
+    const id = await boss.send(queue, null, { singletonKey: 'b' })
+
+    const jobs = await boss.fetch(queue, { batchSize: 2 })
+
+    assert(jobs.some(job => job.id === id))
+  })
+
+  it('should keep the place of a retried job among the groups', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true })
+    const queue = this.test.bossConfig.schema
+    const { schema } = this.test.bossConfig
+
+    await boss.createQueue(queue, { fairScheduling: true, retryLimit: 1 })
+
+    await boss.insert(Array.from({ length: 4 }, () => ({ name: queue, singletonKey: 'a' })))
+    await boss.insert(Array.from({ length: 4 }, () => ({ name: queue, singletonKey: 'b' })))
+
+    const getFairTag = async id => {
+      const { rows } = await boss.getDb().executeSql(`SELECT fair_tag FROM ${schema}.job WHERE name = $1 AND id = $2`, [queue, id])
+      return rows[0].fair_tag
+    }
+
+    // the second job of each group is fetched in the first batch
+    await boss.fetch(queue, { batchSize: 4 })
+
+    const { jobs } = await boss.findJobs(queue, { state: 'active', singletonKey: 'a' })
+
+    let retriedId
+
+    for (const job of jobs) {
+      if (await getFairTag(job.id) === 1) {
+        retriedId = job.id
+      }
+    }
+
+    await boss.fail(queue, retriedId)
+
+    assert.strictEqual(await getFairTag(retriedId), 1)
+
+    const [next] = await boss.fetch(queue)
+
+    assert.strictEqual(next.id, retriedId)
+
+    const jobs2 = await boss.fetch(queue, { batchSize: 2, includeMetadata: true })
+
+    assert.deepStrictEqual(jobs2.map(job => job.singletonKey).sort(), ['a', 'b'])
+  })
+
+  it('should fetch groups in proportion to their fairWeights', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true })
+    const queue = this.test.bossConfig.schema
+
+    await boss.createQueue(queue, { fairScheduling: true, fairWeights: { a: 3 } })
+
+    await boss.insert(Array.from({ length: 20 }, () => ({ name: queue, singletonKey: 'a' })))
+    await boss.insert(Array.from({ length: 20 }, () => ({ name: queue, singletonKey: 'b' })))
+
+    const jobs = await boss.fetch(queue, { batchSize: 8, includeMetadata: true })
+
+    assert.strictEqual(jobs.filter(job => job.singletonKey === 'a').length, 6)
+    assert.strictEqual(jobs.filter(job => job.singletonKey === 'b').length, 2)
+  })
+
+  it('should still fetch higher priority jobs first', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true })
+    const queue = this.test.bossConfig.schema
+
+    await boss.createQueue(queue, { fairScheduling: true })
+
+    await boss.insert(Array.from({ length: 5 }, () => ({ name: queue, singletonKey: 'a' })))
+
+    const id = await boss.send(queue, null, { singletonKey: 'a', priority: 1 })
+
+    const [job] = await boss.fetch(queue)
+
+    assert.strictEqual(job.id, id)
+  })
+
+  it('should fetch in created order after fairScheduling is turned off', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true })
+    const queue = this.test.bossConfig.schema
+
+    await boss.createQueue(queue, { fairScheduling: true })
+
+    await boss.insert(Array.from({ length: 5 }, () => ({ name: queue, singletonKey: 'a' })))
+
+    const id = await boss.send(queue, null, { singletonKey: 'b' })
+
+    await boss.updateQueue(queue, { fairScheduling: false })
+
+    const jobs = await boss.fetch(queue, { batchSize: 5 })
+
+    assert(jobs.every(job => job.id !== id))
+  })
+})
@@ -0,0 +1,109 @@
+const assert = require('node:assert')
+const helper = require('./testHelper')
+const { delay } = require('../src/tools')
+
+describe('findJobs', function () {
+  it('should reject an invalid cursor', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    try {
+      await boss.findJobs(queue, { cursor: 'abc' })
+      assert(false)
+    } catch (err) {
+      assert(err.message.includes('cursor'))
+    }
+  })
+
+  it('should find jobs matching a filter', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const id = await boss.send(queue, { customer: 'acme', region: 'eu' }, { singletonKey: 'a' })
+    await boss.send(queue, { customer: 'acme', region: 'us' }, { singletonKey: 'b' })
+    await boss.send(queue, { customer: 'other', region: 'eu' }, { singletonKey: 'a' })
+
+    const { jobs, cursor } = await boss.findJobs(queue, { data: { customer: 'acme' }, singletonKey: 'a', state: 'created' })
+
+    assert.strictEqual(jobs.length, 1)
+    assert.strictEqual(jobs[0].id, id)
+    assert.strictEqual(jobs[0].data.region, 'eu')
+    assert.strictEqual(jobs[0].state, 'created')
+    assert.strictEqual(jobs[0].cursorCreatedOn, undefined)
+    assert.strictEqual(cursor, null)
+  })
+
+  it('should page through jobs newest first', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    // same created_on for every job to page by id as well
+    await boss.insert(Array.from({ length: 7 }, (_, i) => ({ name: queue, data: { i } })))
+    await boss.send(queue, { i: 7 })
+
+    const ids = []
+    let cursor = null
+    let pages = 0
+
+    do {
+      const result = await boss.findJobs(queue, { limit: 3, cursor })
+      ids.push(...result.jobs.map(job => job.id))
+      cursor = result.cursor
+      pages++
+    } while (cursor)
+
+    assert.strictEqual(pages, 3)
+    assert.strictEqual(new Set(ids).size, 8)
+
+    const { jobs: [newest] } = await boss.findJobs(queue, { limit: 1 })
+
+    assert.strictEqual(newest.data.i, 7)
+
+    const { jobs: [oldest] } = await boss.findJobs(queue, { limit: 1, orderBy: 'oldest' })
+
+    assert.notStrictEqual(oldest.data.i, 7)
+  })
+
+  it('should find jobs in a created range', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    await boss.send(queue)
+    await delay(100)
+
+    const createdAfter = new Date()
+    const id = await boss.send(queue)
+
+    await delay(100)
+
+    const createdBefore = new Date()
+    await boss.send(queue)
+
+    const { jobs } = await boss.findJobs(queue, { createdAfter, createdBefore })
+
+    assert.deepStrictEqual(jobs.map(job => job.id), [id])
+  })
+
+  it('should include archived jobs with includeArchive', async function () {
+    const config = { ...this.test.bossConfig, archiveCompletedAfterSeconds: 1 }
+    const boss = this.test.boss = await helper.start(config)
+    const queue = this.test.bossConfig.schema
+
+    const archivedId = await boss.send(queue)
+    await boss.fetch(queue)
+    await boss.complete(queue, archivedId)
+
+    await delay(1000)
+    await boss.maintain()
+
+    const id = await boss.send(queue)
+
+    const { jobs } = await boss.findJobs(queue)
+
+    assert.deepStrictEqual(jobs.map(job => job.id), [id])
+
+    const { jobs: all } = await boss.findJobs(queue, { includeArchive: true })
+
+    assert.deepStrictEqual(all.map(job => job.id), [id, archivedId])
+  })
+})
@@ -0,0 +1,204 @@
+const assert = require('node:assert')
+const { randomUUID } = require('node:crypto')
+const helper = require('./testHelper')
+const { delay } = require('../src/tools')
+
+describe('flow', function () {
+  it('should reject a flow without a queue name', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    try {
+      await boss.sendFlow({ name: queue, children: [{ data: {} }] })
+      assert(false)
+    } catch (err) {
+      assert(err.message.includes('queue name'))
+    }
+  })
+
+  it('should check each job in a flow like send()', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const invalid = [
+      [{ id: 'abc' }, 'uuid'],
+      [{ dependsOn: [{ name: queue, id: 'abc' }] }, 'dependsOn'],
+      [{ dependencyPolicy: 'wat' }, 'dependencyPolicy'],
+      [{ retryLimit: -1 }, 'retryLimit']
+    ]
+
+    for (const [child, message] of invalid) {
+      const id = randomUUID()
+
+      try {
+        await boss.sendFlow({ id, name: queue, children: [{ name: queue, ...child }] })
+        assert(false)
+      } catch (err) {
+        assert(err.message.includes(message))
+      }
+
+      assert(!await boss.getJobById(queue, id))
+    }
+  })
+
+  it('should fetch the parent after all children are completed with their outputs', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+    const childQueue = queue + '_child'
+
+    await boss.createQueue(childQueue)
+
+    const parentId = await boss.sendFlow({
+      name: queue,
+      data: { report: 1 },
+      children: [
+        { name: childQueue, data: { part: 1 } },
+        { name: childQueue, data: { part: 2 } }
+      ]
+    })
+
+    assert(parentId)
+
+    const [blocked] = await boss.fetch(queue)
+
+    assert(!blocked)
+
+    const children = await boss.fetch(childQueue, { batchSize: 2 })
+
+    assert.strictEqual(children.length, 2)
+
+    for (const child of children) {
+      await boss.complete(childQueue, child.id, { total: child.data.part * 10 })
+    }
+
+    const [parent] = await boss.fetch(queue)
+
+    assert.strictEqual(parent.id, parentId)
+    assert.strictEqual(parent.dependencies.length, 2)
+
+    const totals = parent.dependencies.map(i => i.output.total)
+
+    assert.deepStrictEqual(totals.sort(), [10, 20])
+    assert(parent.dependencies.every(i => i.state === 'completed' && i.name === childQueue))
+  })
+
+  it('should run the parent when a child fails', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const childId = randomUUID()
+
+    const parentId = await boss.sendFlow({
+      name: queue,
+      priority: -1,
+      children: [{ id: childId, name: queue, retryLimit: 0 }]
+    })
+
+    const [child] = await boss.fetch(queue)
+
+    assert.strictEqual(child.id, childId)
+
+    await boss.fail(queue, childId, new Error('part failed'))
+
+    const [parent] = await boss.fetch(queue)
+
+    assert.strictEqual(parent.id, parentId)
+    assert.strictEqual(parent.dependencies[0].id, childId)
+    assert.strictEqual(parent.dependencies[0].state, 'failed')
+    assert.strictEqual(parent.dependencies[0].output.message, 'part failed')
+  })
+
+  it('should support nested flows', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const parentId = await boss.sendFlow({
+      name: queue,
+      priority: -2,
+      children: [{
+        name: queue,
+        priority: -1,
+        children: [{ name: queue }]
+      }]
+    })
+
+    const [grandchild] = await boss.fetch(queue, { batchSize: 3 })
+
+    assert(!grandchild.dependencies)
+
+    await boss.complete(queue, grandchild.id)
+
+    const [child] = await boss.fetch(queue, { batchSize: 3 })
+
+    assert.strictEqual(child.dependencies[0].id, grandchild.id)
+
+    await boss.complete(queue, child.id)
+
+    const [parent] = await boss.fetch(queue, { batchSize: 3 })
+
+    assert.strictEqual(parent.id, parentId)
+  })
+
+  it('should not create any jobs in a flow if a queue does not exist', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const id = randomUUID()
+
+    try {
+      await boss.sendFlow({ id, name: queue, children: [{ name: queue + '_missing' }] })
+      assert(false)
+    } catch (err) {
+      assert(err)
+    }
+
+    const job = await boss.getJobById(queue, id)
+
+    assert(!job)
+  })
+
+  it('should not create any jobs in a flow if a job is rejected by a queue policy', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+    const shortQueue = queue + '_short'
+
+    await boss.createQueue(shortQueue, { policy: 'short' })
+    await boss.send(shortQueue)
+
+    const id = randomUUID()
+
+    try {
+      await boss.sendFlow({ id, name: queue, children: [{ name: shortQueue }] })
+      assert(false)
+    } catch (err) {
+      assert(err)
+    }
+
+    const job = await boss.getJobById(queue, id)
+
+    assert(!job)
+  })
+
+  it('should pass child outputs to a parent worker', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+    const childQueue = queue + '_child'
+
+    await boss.createQueue(childQueue)
+
+    const parentId = await boss.sendFlow({
+      name: queue,
+      children: [1, 2, 3].map(value => ({ name: childQueue, data: { value } }))
+    })
+
+    await boss.work(childQueue, { pollingIntervalSeconds: 0.5 }, async ([job]) => ({ value: job.data.value * 2 }))
+    await boss.work(queue, { pollingIntervalSeconds: 0.5 }, async ([job]) => ({ sum: job.dependencies.reduce((acc, i) => acc + i.output.value, 0) }))
+
+    await delay(4000)
+
+    const parent = await boss.getJobById(queue, parentId)
+
+    assert.strictEqual(parent.state, 'completed')
+    assert.strictEqual(parent.output.sum, 12)
+  })
+})
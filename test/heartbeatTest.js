@@ -0,0 +1,146 @@
+const assert = require('node:assert')
+const helper = require('./testHelper')
+const { delay } = require('../src/tools')
+
+describe('heartbeat', function () {
+  it('should reject missing arguments', async function () {
+    const boss = this.test.boss = await helper.start(this.test.bossConfig)
+
+    try {
+      await boss.touch()
+      assert(false)
+    } catch (err) {
+      assert(err)
+    }
+  })
+
+  it('should extend the expiration of an active job', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const jobId = await boss.send(queue, null, { retryLimit: 0, expireInSeconds: 1 })
+
+    await boss.fetch(queue)
+
+    await delay(600)
+
+    const result = await boss.touch(queue, jobId)
+
+    assert.strictEqual(result.affected, 1)
+
+    await delay(600)
+
+    await boss.maintain()
+
+    const job1 = await boss.getJobById(queue, jobId)
+
+    assert.strictEqual(job1.state, 'active')
+    assert(job1.heartbeatOn)
+
+    await delay(1000)
+
+    await boss.maintain()
+
+    const job2 = await boss.getJobById(queue, jobId)
+
+    assert.strictEqual(job2.state, 'failed')
+  })
+
+  it('should not touch a job that is not active', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const jobId = await boss.send(queue)
+
+    const result = await boss.touch(queue, jobId)
+
+    assert.strictEqual(result.affected, 0)
+
+    const job = await boss.getJobById(queue, jobId)
+
+    assert.strictEqual(job.heartbeatOn, null)
+  })
+
+  it('should touch a batch of jobs', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    await boss.insert([{ name: queue }, { name: queue }, { name: queue }])
+
+    const jobs = await boss.fetch(queue, { batchSize: 3 })
+
+    const result = await boss.touch(queue, jobs.map(job => job.id))
+
+    assert.strictEqual(result.affected, 3)
+  })
+
+  it('should reset the heartbeat when a job is retried', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const jobId = await boss.send(queue, null, { retryLimit: 1 })
+
+    await boss.fetch(queue)
+    await boss.touch(queue, jobId)
+    await boss.fail(queue, jobId)
+    await boss.fetch(queue)
+
+    const job = await boss.getJobById(queue, jobId)
+
+    assert.strictEqual(job.state, 'active')
+    assert.strictEqual(job.heartbeatOn, null)
+  })
+
+  it('should extend the handler expiration in a worker via job.heartbeat()', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const jobId = await boss.send(queue, null, { retryLimit: 0, expireInSeconds: 1 })
+
+    let aborted = false
+
+    await boss.work(queue, async ([job]) => {
+      job.signal.addEventListener('abort', () => { aborted = true })
+
+      for (let i = 0; i < 5; i++) {
+        await delay(500)
+        await job.heartbeat()
+      }
+    })
+
+    await delay(4000)
+
+    const job = await boss.getJobById(queue, jobId)
+
+    assert(!aborted)
+    assert.strictEqual(job.state, 'completed')
+  })
+
+  it('should send heartbeats automatically with heartbeatIntervalSeconds', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const jobId = await boss.send(queue, null, { retryLimit: 0, expireInSeconds: 2 })
+
+    await boss.work(queue, { heartbeatIntervalSeconds: 1 }, () => delay(3500))
+
+    await delay(5000)
+
+    const job = await boss.getJobById(queue, jobId)
+
+    assert.strictEqual(job.state, 'completed')
+    assert(job.heartbeatOn)
+  })
+
+  it('should reject an invalid heartbeatIntervalSeconds option', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    try {
+      await boss.work(queue, { heartbeatIntervalSeconds: 0 }, async () => {})
+      assert(false)
+    } catch (err) {
+      assert(err.message.includes('heartbeatIntervalSeconds'))
+    }
+  })
+})
@@ -0,0 +1,176 @@
+const assert = require('node:assert')
+const helper = require('./testHelper')
+const PgBoss = require('../')
+const { delay } = require('../src/tools')
+
+describe('jobEvents', function () {
+  function record (boss, names) {
+    const events = []
+
+    for (const name of names) {
+      boss.on(name, payload => events.push({ event: name, ...payload }))
+    }
+
+    return events
+  }
+
+  it('should reject an invalid jobEvents option', function () {
+    assert.throws(() => new PgBoss({ ...this.test.bossConfig, jobEvents: 'everywhere' }), /jobEvents/)
+  })
+
+  it('should not emit job events unless enabled', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const events = record(boss, ['job-active', 'job-completed'])
+
+    const id = await boss.send(queue)
+    await boss.fetch(queue)
+    await boss.complete(queue, id)
+
+    assert.strictEqual(events.length, 0)
+  })
+
+  it('should emit active and completed events with a duration', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, jobEvents: true })
+    const queue = this.test.bossConfig.schema
+
+    const events = record(boss, ['job-active', 'job-completed'])
+
+    const id = await boss.send(queue)
+    await boss.fetch(queue)
+    await delay(100)
+    await boss.complete(queue, id, { ok: true })
+
+    assert.deepStrictEqual(events.map(i => i.event), ['job-active', 'job-completed'])
+    assert.deepStrictEqual(events[0], { event: 'job-active', id, name: queue, state: 'active', duration: null })
+
+    const completed = events[1]
+
+    assert.strictEqual(completed.id, id)
+    assert.strictEqual(completed.name, queue)
+    assert.strictEqual(completed.state, 'completed')
+    assert(completed.duration >= 100)
+    assert.strictEqual(completed.error, undefined)
+  })
+
+  it('should report a listener error without failing the job operation', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, jobEvents: true })
+    const queue = this.test.bossConfig.schema
+
+    const errors = []
+
+    boss.on('error', err => errors.push(err))
+    boss.on('job-completed', () => { throw new Error('listener bug') })
+
+    const id = await boss.send(queue)
+
+    await boss.work(queue, { pollingIntervalSeconds: 0.5 }, async () => {})
+
+    await delay(1500)
+
+    assert.strictEqual((await boss.getJobById(queue, id)).state, 'completed')
+    assert.strictEqual(errors.length, 1)
+    assert.strictEqual(errors[0].message, 'listener bug')
+  })
+
+  it('should emit retry and failed events with the error', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, jobEvents: 'local' })
+    const queue = this.test.bossConfig.schema
+
+    const events = record(boss, ['job-retry', 'job-failed'])
+
+    const id = await boss.send(queue, null, { retryLimit: 1 })
+
+    await boss.fetch(queue)
+    await boss.fail(queue, id, new Error('first'))
+
+    await boss.fetch(queue)
+    await boss.fail(queue, id, new Error('second'))
+
+    assert.deepStrictEqual(events.map(i => i.event), ['job-retry', 'job-failed'])
+    assert.strictEqual(events[0].state, 'retry')
+    assert.strictEqual(events[0].error.message, 'first')
+    assert.strictEqual(events[1].state, 'failed')
+    assert.strictEqual(events[1].error.message, 'second')
+  })
+
+  it('should emit cancelled events for cancel() and cancelJobs()', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, jobEvents: true })
+    const queue = this.test.bossConfig.schema
+
+    const events = record(boss, ['job-cancelled'])
+
+    const id1 = await boss.send(queue)
+    const id2 = await boss.send(queue, { tenant: 'a' })
+
+    await boss.cancel(queue, id1)
+    await boss.cancelJobs(queue, { data: { tenant: 'a' } })
+
+    assert.deepStrictEqual(events.map(i => i.id), [id1, id2])
+    assert(events.every(i => i.state === 'cancelled'))
+  })
+
+  it('should emit expired events from maintenance', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, jobEvents: true })
+    const queue = this.test.bossConfig.schema
+
+    const events = record(boss, ['job-expired'])
+
+    const id = await boss.send(queue, null, { expireInSeconds: 1 })
+
+    await boss.fetch(queue)
+    await delay(1500)
+    await boss.maintain()
+
+    assert.strictEqual(events.length, 1)
+    assert.strictEqual(events[0].id, id)
+    assert.strictEqual(events[0].state, 'failed')
+    assert(events[0].error.value.message.includes('timeout'))
+  })
+
+  it('should emit failed and cancelled events for jobs failed by a dependency', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, jobEvents: true })
+    const queue = this.test.bossConfig.schema
+
+    const parentId = await boss.send(queue, null, { retryLimit: 0 })
+    const failedId = await boss.send(queue, null, { dependsOn: [{ name: queue, id: parentId }] })
+    const cancelledId = await boss.send(queue, null, { dependsOn: [{ name: queue, id: parentId }], dependencyPolicy: 'cancel' })
+
+    await boss.fetch(queue)
+    await boss.fail(queue, parentId)
+
+    const events = record(boss, ['job-failed', 'job-cancelled'])
+
+    await boss.maintain()
+
+    assert.deepStrictEqual(events.map(i => [i.event, i.id, i.state]).sort(), [
+      ['job-cancelled', cancelledId, 'cancelled'],
+      ['job-failed', failedId, 'failed']
+    ])
+  })
+
+  it('should emit job events on every instance in cluster mode', async function () {
+    const config = { ...this.test.bossConfig, jobEvents: 'cluster' }
+    const boss = this.test.boss = await helper.start(config)
+    const queue = this.test.bossConfig.schema
+
+    const events = record(boss, ['job-completed'])
+
+    const other = await helper.start({ ...config, noDefault: true })
+
+    try {
+      const id = await other.send(queue)
+      await other.fetch(queue)
+      await other.complete(queue, id)
+
+      await delay(500)
+
+      assert.strictEqual(events.length, 1)
+      assert.strictEqual(events[0].id, id)
+      assert.strictEqual(events[0].state, 'completed')
+    } finally {
+      await other.stop({ graceful: false })
+    }
+  })
+})
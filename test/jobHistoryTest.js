@@ -0,0 +1,161 @@
+const assert = require('node:assert')
+const helper = require('./testHelper')
+const PgBoss = require('../')
+const { delay } = require('../src/tools')
+
+describe('jobHistory', function () {
+  it('should reject an invalid jobHistory option', function () {
+    assert.throws(() => new PgBoss({ ...this.test.bossConfig, jobHistory: 'yes' }), /jobHistory/)
+  })
+
+  it('should not record history unless enabled', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const id = await boss.send(queue)
+    await boss.fetch(queue)
+    await boss.complete(queue, id)
+
+    const history = await boss.getJobHistory(queue, id)
+
+    assert.strictEqual(history.length, 0)
+  })
+
+  it('should record every attempt of a job', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, jobHistory: true })
+    const queue = this.test.bossConfig.schema
+
+    const id = await boss.send(queue, null, { retryLimit: 2 })
+
+    await boss.fetch(queue)
+    await boss.fail(queue, id, new Error('first'))
+
+    await boss.fetch(queue)
+    await boss.fail(queue, id, new Error('second'))
+
+    await boss.fetch(queue)
+    await boss.complete(queue, id, { ok: true })
+
+    const history = await boss.getJobHistory(queue, id)
+
+    assert.deepStrictEqual(history.map(i => [i.state, i.attempt]), [
+      ['active', 1],
+      ['retry', 1],
+      ['active', 2],
+      ['retry', 2],
+      ['active', 3],
+      ['completed', 3]
+    ])
+
+    assert(history.every(i => i.jobId === id && i.name === queue && i.createdOn instanceof Date))
+    assert.strictEqual(history[0].output, null)
+    assert.strictEqual(history[1].output.message, 'first')
+    assert.strictEqual(history[3].output.message, 'second')
+    assert.deepStrictEqual(history[5].output, { ok: true })
+  })
+
+  it('should record the worker of each attempt', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, jobHistory: true })
+    const queue = this.test.bossConfig.schema
+
+    const id = await boss.send(queue, null, { retryLimit: 0 })
+
+    const workerId = await boss.work(queue, { pollingIntervalSeconds: 0.5 }, async () => {
+      throw new Error('import failed')
+    })
+
+    await delay(1500)
+
+    const history = await boss.getJobHistory(queue, id)
+
+    assert.deepStrictEqual(history.map(i => i.state), ['active', 'failed'])
+    assert(history.every(i => i.workerId === workerId))
+    assert.strictEqual(history[1].output.message, 'import failed')
+  })
+
+  it('should record cancel, resume and retry', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, jobHistory: true })
+    const queue = this.test.bossConfig.schema
+
+    const id = await boss.send(queue, { tenant: 'a' })
+
+    await boss.cancel(queue, id)
+    await boss.resume(queue, id)
+    await boss.cancelJobs(queue, { data: { tenant: 'a' } })
+    await boss.retryJobs(queue, { data: { tenant: 'a' } })
+
+    const history = await boss.getJobHistory(queue, id)
+
+    assert.deepStrictEqual(history.map(i => i.state), ['cancelled', 'created', 'cancelled', 'retry'])
+    assert(history.every(i => i.workerId === null && i.output === null))
+  })
+
+  it('should record jobs failed by timeout', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, jobHistory: true })
+    const queue = this.test.bossConfig.schema
+
+    const id = await boss.send(queue, null, { expireInSeconds: 1, retryLimit: 0 })
+
+    await boss.fetch(queue)
+    await delay(1500)
+    await boss.maintain()
+
+    const history = await boss.getJobHistory(queue, id)
+
+    assert.deepStrictEqual(history.map(i => i.state), ['active', 'failed'])
+    assert(history[1].output.value.message.includes('timeout'))
+  })
+
+  it('should record jobs released during shutdown', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, jobHistory: true })
+    const queue = this.test.bossConfig.schema
+
+    const id = await boss.send(queue, null, { retryLimit: 1 })
+
+    await boss.fetch(queue)
+    await boss.fail(queue, id)
+
+    const workerId = await boss.work(queue, { pollingIntervalSeconds: 0.5 }, () => delay(10000))
+
+    await delay(1000)
+
+    await boss.stop({ graceful: false, release: true, close: false })
+    await boss.start()
+
+    await boss.fetch(queue)
+
+    const history = await boss.getJobHistory(queue, id)
+
+    assert.deepStrictEqual(history.map(i => [i.state, i.attempt]), [
+      ['active', 1],
+      ['retry', 1],
+      ['active', 2],
+      ['retry', 2],
+      ['active', 2]
+    ])
+
+    assert.strictEqual(history[3].workerId, workerId)
+    assert.strictEqual(history[3].output, null)
+  })
+
+  it('should keep history while the job is in the archive', async function () {
+    const config = { ...this.test.bossConfig, jobHistory: true, archiveCompletedAfterSeconds: 1, deleteAfterSeconds: 1 }
+    const boss = this.test.boss = await helper.start(config)
+    const queue = this.test.bossConfig.schema
+
+    const id = await boss.send(queue)
+    await boss.fetch(queue)
+    await boss.complete(queue, id)
+
+    await delay(1500)
+    await boss.maintain()
+
+    assert.strictEqual((await boss.getJobHistory(queue, id)).length, 2)
+
+    await delay(1500)
+    await boss.maintain()
+
+    assert.strictEqual(await boss.getJobById(queue, id, { includeArchive: true }), null)
+    assert.strictEqual((await boss.getJobHistory(queue, id)).length, 0)
+  })
+})
@@ -0,0 +1,101 @@
+const assert = require('node:assert')
+const os = require('node:os')
+const helper = require('./testHelper')
+const { delay } = require('../src/tools')
+
+describe('owner', function () {
+  it('should record the owner of a fetched job', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const id = await boss.send(queue)
+
+    const created = await boss.getJobById(queue, id)
+
+    assert.strictEqual(created.owner, null)
+
+    const [fetched] = await boss.fetch(queue, { includeMetadata: true })
+
+    assert(fetched.owner.instanceId)
+    assert.strictEqual(fetched.owner.hostname, os.hostname())
+    assert.strictEqual(fetched.owner.pid, process.pid)
+    assert.strictEqual(fetched.owner.workerId, undefined)
+
+    const job = await boss.getJobById(queue, id)
+
+    assert.deepStrictEqual(job.owner, fetched.owner)
+
+    const { jobs } = await boss.findJobs(queue, { state: 'active' })
+
+    assert.deepStrictEqual(jobs[0].owner, fetched.owner)
+  })
+
+  it('should record the worker that holds an active job', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const id = await boss.send(queue)
+
+    let owner
+
+    const workerId = await boss.work(queue, { pollingIntervalSeconds: 0.5 }, async () => {
+      owner = (await boss.getJobById(queue, id)).owner
+    })
+
+    await delay(1500)
+
+    assert.strictEqual(owner.workerId, workerId)
+  })
+
+  it('should only complete a job held by the given owner', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const id = await boss.send(queue)
+    const [job] = await boss.fetch(queue, { includeMetadata: true })
+
+    const other = await boss.complete(queue, id, null, { owner: { instanceId: 'other' } })
+
+    assert.strictEqual(other.affected, 0)
+    assert.strictEqual((await boss.getJobById(queue, id)).state, 'active')
+
+    const result = await boss.complete(queue, id, null, { owner: { instanceId: job.owner.instanceId } })
+
+    assert.strictEqual(result.affected, 1)
+  })
+
+  it('should only fail a job held by the given owner and keep its owner', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const id = await boss.send(queue, null, { retryLimit: 0 })
+    const [job] = await boss.fetch(queue, { includeMetadata: true })
+
+    const other = await boss.fail(queue, id, null, { owner: { ...job.owner, pid: -1 } })
+
+    assert.strictEqual(other.affected, 0)
+
+    const result = await boss.fail(queue, id, null, { owner: job.owner })
+
+    assert.strictEqual(result.affected, 1)
+
+    const failed = await boss.getJobById(queue, id)
+
+    assert.strictEqual(failed.state, 'failed')
+    assert.deepStrictEqual(failed.owner, job.owner)
+  })
+
+  it('should reject an invalid owner', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const id = await boss.send(queue)
+
+    try {
+      await boss.complete(queue, id, null, { owner: 'me' })
+      assert(false)
+    } catch (err) {
+      assert(err.message.includes('owner'))
+    }
+  })
+})
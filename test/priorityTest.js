@@ -1,5 +1,6 @@
 const assert = require('node:assert')
 const helper = require('./testHelper')
+const { delay } = require('../src/tools')
 
 describe('priority', function () {
   it('higher priority job', async function () {
@@ -48,4 +49,58 @@ describe('priority', function () {
     assert.strictEqual(job2.id, medium)
     assert.strictEqual(job3.id, high)
   })
+
+  it('should reject an invalid priorityAgingSeconds', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true })
+    const queue = this.test.bossConfig.schema
+
+    try {
+      await boss.createQueue(queue, { priorityAgingSeconds: 0 })
+      assert(false)
+    } catch (err) {
+      assert(err.message.includes('priorityAgingSeconds'))
+    }
+  })
+
+  it('raises the priority of waiting jobs with priorityAgingSeconds', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true })
+    const queue = this.test.bossConfig.schema
+
+    await boss.createQueue(queue, { priorityAgingSeconds: 1 })
+
+    const { priorityAgingSeconds } = await boss.getQueue(queue)
+
+    assert.strictEqual(priorityAgingSeconds, 1)
+
+    const low = await boss.send(queue)
+
+    await delay(2100)
+
+    const high = await boss.send(queue, null, { priority: 1 })
+
+    const [job1] = await boss.fetch(queue)
+    const [job2] = await boss.fetch(queue)
+
+    assert.strictEqual(job1.id, low)
+    assert.strictEqual(job2.id, high)
+  })
+
+  it('stops aging priorities when priorityAgingSeconds is removed', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true })
+    const queue = this.test.bossConfig.schema
+
+    await boss.createQueue(queue, { priorityAgingSeconds: 1 })
+
+    await boss.send(queue)
+
+    await delay(2100)
+
+    const high = await boss.send(queue, null, { priority: 1 })
+
+    await boss.updateQueue(queue, { priorityAgingSeconds: null })
+
+    const [job] = await boss.fetch(queue)
+
+    assert.strictEqual(job.id, high)
+  })
 })
@@ -0,0 +1,155 @@
+const assert = require('node:assert')
+const helper = require('./testHelper')
+const { delay } = require('../src/tools')
+
+describe('progress', function () {
+  it('should reject an invalid progressIntervalSeconds', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    try {
+      await boss.work(queue, { progressIntervalSeconds: 0 }, async () => {})
+      assert(false)
+    } catch (err) {
+      assert(err.message.includes('progressIntervalSeconds'))
+    }
+  })
+
+  it('should record progress of an active job', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const id = await boss.send(queue)
+
+    const inactive = await boss.progress(queue, id, 10)
+
+    assert.strictEqual(inactive.affected, 0)
+
+    await boss.fetch(queue)
+
+    const result = await boss.progress(queue, id, { percent: 50, step: 'import' })
+
+    assert.strictEqual(result.affected, 1)
+
+    const job = await boss.getJobById(queue, id)
+
+    assert.deepStrictEqual(job.progress, { percent: 50, step: 'import' })
+  })
+
+  it('should report progress from a worker', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const id = await boss.send(queue)
+
+    let progress
+
+    await boss.work(queue, { pollingIntervalSeconds: 0.5 }, async ([job]) => {
+      await job.reportProgress(25)
+      progress = (await boss.getJobById(queue, id)).progress
+      await job.reportProgress(100)
+    })
+
+    await delay(1500)
+
+    const job = await boss.getJobById(queue, id)
+
+    assert.strictEqual(progress, 25)
+    assert.strictEqual(job.state, 'completed')
+    assert.strictEqual(job.progress, 100)
+  })
+
+  it('should keep the stored progress on a job fetched with metadata', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+    const schema = this.test.bossConfig.schema
+
+    const id = await boss.send(queue)
+
+    await boss.getDb().executeSql(`UPDATE ${schema}.job SET progress = '{"step":2}' WHERE id = $1`, [id])
+
+    let fetched
+
+    await boss.work(queue, { pollingIntervalSeconds: 0.5, includeMetadata: true }, async ([job]) => {
+      fetched = job
+    })
+
+    await delay(1500)
+
+    assert.deepStrictEqual(fetched.progress, { step: 2 })
+    assert.strictEqual(typeof fetched.reportProgress, 'function')
+  })
+
+  it('should throttle progress with progressIntervalSeconds and write the last value', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const id = await boss.send(queue)
+
+    let progress
+
+    await boss.work(queue, { pollingIntervalSeconds: 0.5, progressIntervalSeconds: 30 }, async ([job]) => {
+      for (let i = 1; i <= 10; i++) {
+        await job.reportProgress(i)
+      }
+
+      progress = (await boss.getJobById(queue, id)).progress
+    })
+
+    await delay(1500)
+
+    const job = await boss.getJobById(queue, id)
+
+    assert.strictEqual(progress, 1)
+    assert.strictEqual(job.state, 'completed')
+    assert.strictEqual(job.progress, 10)
+  })
+
+  it('should keep the progress of a failed job', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const id = await boss.send(queue, null, { retryLimit: 0 })
+
+    await boss.work(queue, { pollingIntervalSeconds: 0.5 }, async ([job]) => {
+      await job.reportProgress(40)
+      throw new Error('import failed')
+    })
+
+    await delay(1500)
+
+    const job = await boss.getJobById(queue, id)
+
+    assert.strictEqual(job.state, 'failed')
+    assert.strictEqual(job.progress, 40)
+  })
+
+  it('should include progress in the wip event', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const id = await boss.send(queue)
+
+    let progress
+
+    boss.on('wip', workers => {
+      const worker = workers.find(i => i.name === queue)
+
+      if (worker?.progress.length) {
+        progress = worker.progress
+      }
+    })
+
+    // the wip event is throttled, so the first one is used up before progress is reported
+    await delay(2100)
+
+    await boss.work(queue, { pollingIntervalSeconds: 0.5 }, async ([job]) => {
+      await delay(2100)
+      await job.reportProgress(75)
+    })
+
+    await delay(3000)
+
+    assert.deepStrictEqual(progress, [{ id, value: 75 }])
+  })
+})
@@ -1,5 +1,6 @@
 const assert = require('node:assert')
 const helper = require('./testHelper')
+const { delay } = require('../src/tools')
 
 describe('queues', function () {
   it('should create a queue', async function () {
@@ -81,6 +82,13 @@ describe('queues', function () {
     await boss.createQueue(queue, { policy: 'short' })
   })
 
+  it('should create a queue with grouped policy', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true })
+    const queue = this.test.bossConfig.schema
+
+    await boss.createQueue(queue, { policy: 'grouped' })
+  })
+
   it('should delete and then create a queue', async function () {
     const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true })
     const queue = this.test.bossConfig.schema
@@ -431,6 +439,104 @@ describe('queues', function () {
     assert(!jobA3)
   })
 
+  it('grouped policy runs jobs with the same singletonKey in order', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true })
+    const queue = this.test.bossConfig.schema
+
+    await boss.createQueue(queue, { policy: 'grouped' })
+
+    const a1 = await boss.send(queue, null, { singletonKey: 'a' })
+    const a2 = await boss.send(queue, null, { singletonKey: 'a', priority: 10 })
+    const b1 = await boss.send(queue, null, { singletonKey: 'b' })
+
+    const jobs1 = await boss.fetch(queue, { batchSize: 3 })
+
+    assert.deepStrictEqual(jobs1.map(job => job.id).sort(), [a1, b1].sort())
+
+    const jobs2 = await boss.fetch(queue, { batchSize: 3 })
+
+    assert.strictEqual(jobs2.length, 0)
+
+    await boss.complete(queue, a1)
+
+    const [job] = await boss.fetch(queue)
+
+    assert.strictEqual(job.id, a2)
+  })
+
+  it('grouped policy runs jobs from one insert() in the order they were given', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true })
+    const queue = this.test.bossConfig.schema
+
+    await boss.createQueue(queue, { policy: 'grouped' })
+
+    await boss.insert(Array.from({ length: 10 }, (_, i) => ({ name: queue, data: { i }, singletonKey: 'a' })))
+
+    const order = []
+
+    for (let i = 0; i < 10; i++) {
+      const [job] = await boss.fetch(queue, { batchSize: 10 })
+      order.push(job.data.i)
+      await boss.complete(queue, job.id)
+    }
+
+    assert.deepStrictEqual(order, [0, 1, 2, 3, 4, 5, 6, 7, 8, 9])
+  })
+
+  it('grouped policy keeps the group blocked while a job is retried', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true })
+    const queue = this.test.bossConfig.schema
+
+    await boss.createQueue(queue, { policy: 'grouped' })
+
+    const a1 = await boss.send(queue, null, { singletonKey: 'a', retryLimit: 1 })
+    const a2 = await boss.send(queue, null, { singletonKey: 'a' })
+
+    await boss.fetch(queue)
+    await boss.fail(queue, a1)
+
+    const [retry] = await boss.fetch(queue, { batchSize: 2 })
+
+    assert.strictEqual(retry.id, a1)
+
+    await boss.fail(queue, a1)
+
+    const [next] = await boss.fetch(queue)
+
+    assert.strictEqual(next.id, a2)
+  })
+
+  it('grouped policy does not restrict jobs without a singletonKey', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true })
+    const queue = this.test.bossConfig.schema
+
+    await boss.createQueue(queue, { policy: 'grouped' })
+
+    await boss.insert([{ name: queue }, { name: queue }, { name: queue, singletonKey: 'a' }, { name: queue, singletonKey: 'a' }])
+
+    const jobs = await boss.fetch(queue, { batchSize: 4 })
+
+    assert.strictEqual(jobs.length, 3)
+  })
+
+  it('grouped policy runs one job per group across concurrent fetches', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true, max: 10 })
+    const queue = this.test.bossConfig.schema
+
+    await boss.createQueue(queue, { policy: 'grouped' })
+
+    for (let i = 0; i < 10; i++) {
+      await boss.send(queue, { i }, { singletonKey: String(i % 2) })
+    }
+
+    const results = await Promise.all(Array.from({ length: 10 }, () => boss.fetch(queue, { batchSize: 2 })))
+
+    const jobs = results.flat()
+
+    assert.strictEqual(jobs.length, 2)
+    assert.deepStrictEqual(jobs.map(job => job.data.i).sort(), [0, 1])
+  })
+
   it('should clear a specific queue', async function () {
     const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true })
 
@@ -463,4 +569,369 @@ describe('queues', function () {
 
     assert.strictEqual(0, q2Count3)
   })
+
+  it('should not fetch jobs from a paused queue', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    await boss.pauseQueue(queue)
+
+    const jobId = await boss.send(queue)
+
+    assert(jobId)
+
+    const { paused } = await boss.getQueue(queue)
+
+    assert.strictEqual(paused, true)
+
+    const [job1] = await boss.fetch(queue)
+
+    assert(!job1)
+
+    await boss.resumeQueue(queue)
+
+    const queueData = await boss.getQueue(queue)
+
+    assert.strictEqual(queueData.paused, false)
+
+    const [job2] = await boss.fetch(queue)
+
+    assert.strictEqual(job2.id, jobId)
+  })
+
+  it('should pause workers in other instances', async function () {
+    const config = { ...this.test.bossConfig, pollingIntervalSeconds: 0.5 }
+    const boss = this.test.boss = await helper.start(config)
+    const queue = this.test.bossConfig.schema
+
+    const admin = await helper.start({ ...config, noDefault: true })
+
+    try {
+      await admin.pauseQueue(queue)
+
+      let processed = 0
+
+      await boss.work(queue, async () => { processed++ })
+
+      await boss.send(queue)
+
+      await delay(1500)
+
+      assert.strictEqual(processed, 0)
+
+      await admin.resumeQueue(queue)
+
+      await delay(1500)
+
+      assert.strictEqual(processed, 1)
+    } finally {
+      await admin.stop({ graceful: false })
+    }
+  })
+
+  it('should reject an invalid concurrencyLimit', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true })
+    const queue = this.test.bossConfig.schema
+
+    try {
+      await boss.createQueue(queue, { concurrencyLimit: 0 })
+      assert(false)
+    } catch (err) {
+      assert(err.message.includes('concurrencyLimit'))
+    }
+  })
+
+  it('should not fetch more active jobs than the concurrencyLimit', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true })
+    const queue = this.test.bossConfig.schema
+
+    await boss.createQueue(queue, { concurrencyLimit: 2 })
+
+    const { concurrencyLimit } = await boss.getQueue(queue)
+
+    assert.strictEqual(concurrencyLimit, 2)
+
+    await boss.insert([1, 2, 3, 4, 5].map(() => ({ name: queue })))
+
+    const jobs1 = await boss.fetch(queue, { batchSize: 5 })
+
+    assert.strictEqual(jobs1.length, 2)
+
+    const jobs2 = await boss.fetch(queue, { batchSize: 5 })
+
+    assert.strictEqual(jobs2.length, 0)
+
+    await boss.complete(queue, jobs1[0].id)
+
+    const jobs3 = await boss.fetch(queue, { batchSize: 5 })
+
+    assert.strictEqual(jobs3.length, 1)
+
+    await boss.fail(queue, jobs1[1].id)
+
+    const jobs4 = await boss.fetch(queue, { batchSize: 5 })
+
+    assert.strictEqual(jobs4.length, 1)
+  })
+
+  it('should enforce the concurrencyLimit across concurrent fetches', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true, max: 10 })
+    const queue = this.test.bossConfig.schema
+
+    await boss.createQueue(queue, { concurrencyLimit: 3 })
+
+    await boss.insert(Array.from({ length: 20 }, () => ({ name: queue })))
+
+    for (let i = 0; i < 3; i++) {
+      await Promise.all(Array.from({ length: 10 }, () => boss.fetch(queue, { batchSize: 2 })))
+    }
+
+    const active = await boss.getQueueSize(queue, { before: 'completed' }) - await boss.getQueueSize(queue)
+
+    assert.strictEqual(active, 3)
+  })
+
+  it('should update and remove the concurrencyLimit', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true })
+    const queue = this.test.bossConfig.schema
+
+    await boss.createQueue(queue, { concurrencyLimit: 1 })
+
+    await boss.insert([1, 2, 3, 4].map(() => ({ name: queue })))
+
+    await boss.updateQueue(queue, { concurrencyLimit: 2 })
+
+    const jobs1 = await boss.fetch(queue, { batchSize: 4 })
+
+    assert.strictEqual(jobs1.length, 2)
+
+    await boss.updateQueue(queue, { retryLimit: 1 })
+
+    const { concurrencyLimit } = await boss.getQueue(queue)
+
+    assert.strictEqual(concurrencyLimit, 2)
+
+    await boss.updateQueue(queue, { concurrencyLimit: null })
+
+    const jobs2 = await boss.fetch(queue, { batchSize: 4 })
+
+    assert.strictEqual(jobs2.length, 2)
+  })
+
+  it('should count jobs that were active before the concurrencyLimit was set or lowered', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true })
+    const queue = this.test.bossConfig.schema
+
+    await boss.createQueue(queue)
+
+    await boss.insert(Array.from({ length: 8 }, () => ({ name: queue })))
+
+    const jobs1 = await boss.fetch(queue, { batchSize: 3 })
+
+    assert.strictEqual(jobs1.length, 3)
+
+    await boss.updateQueue(queue, { concurrencyLimit: 4 })
+
+    const jobs2 = await boss.fetch(queue, { batchSize: 3 })
+
+    assert.strictEqual(jobs2.length, 1)
+
+    await boss.updateQueue(queue, { concurrencyLimit: 2 })
+    await boss.complete(queue, jobs1.map(job => job.id))
+
+    const jobs3 = await boss.fetch(queue, { batchSize: 3 })
+
+    assert.strictEqual(jobs3.length, 1)
+
+    const jobs4 = await boss.fetch(queue, { batchSize: 3 })
+
+    assert.strictEqual(jobs4.length, 0)
+  })
+
+  it('should reject an invalid rateLimit', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true })
+    const queue = this.test.bossConfig.schema
+
+    try {
+      await boss.createQueue(queue, { rateLimit: { count: 1 } })
+      assert(false)
+    } catch (err) {
+      assert(err.message.includes('rateLimit'))
+    }
+  })
+
+  it('should not start more jobs than the rateLimit allows', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true })
+    const queue = this.test.bossConfig.schema
+
+    await boss.createQueue(queue, { rateLimit: { count: 2, perSeconds: 2 } })
+
+    const { rateLimit } = await boss.getQueue(queue)
+
+    assert.deepStrictEqual(rateLimit, { count: 2, perSeconds: 2 })
+
+    await boss.insert([1, 2, 3, 4, 5].map(() => ({ name: queue })))
+
+    const jobs1 = await boss.fetch(queue, { batchSize: 5 })
+
+    assert.strictEqual(jobs1.length, 2)
+
+    await boss.complete(queue, jobs1.map(job => job.id))
+
+    const jobs2 = await boss.fetch(queue, { batchSize: 5 })
+
+    assert.strictEqual(jobs2.length, 0)
+
+    await delay(1100)
+
+    const jobs3 = await boss.fetch(queue, { batchSize: 5 })
+
+    assert.strictEqual(jobs3.length, 1)
+  })
+
+  it('should not consume rateLimit tokens when no jobs are fetched', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true })
+    const queue = this.test.bossConfig.schema
+
+    await boss.createQueue(queue, { rateLimit: { count: 2, perSeconds: 60 } })
+
+    await boss.fetch(queue)
+    await boss.fetch(queue)
+
+    await boss.insert([1, 2, 3].map(() => ({ name: queue })))
+
+    const jobs = await boss.fetch(queue, { batchSize: 3 })
+
+    assert.strictEqual(jobs.length, 2)
+  })
+
+  it('should enforce the rateLimit across concurrent fetches', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true, max: 10 })
+    const queue = this.test.bossConfig.schema
+
+    await boss.createQueue(queue, { rateLimit: { count: 5, perSeconds: 60 } })
+
+    await boss.insert(Array.from({ length: 20 }, () => ({ name: queue })))
+
+    const results = await Promise.all(Array.from({ length: 10 }, () => boss.fetch(queue, { batchSize: 2 })))
+
+    const fetched = results.reduce((acc, jobs) => acc + jobs.length, 0)
+
+    assert.strictEqual(fetched, 5)
+  })
+
+  it('should update and remove the rateLimit', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true })
+    const queue = this.test.bossConfig.schema
+
+    await boss.createQueue(queue, { rateLimit: { count: 1, perSeconds: 60 } })
+
+    await boss.insert([1, 2, 3, 4, 5].map(() => ({ name: queue })))
+
+    const jobs1 = await boss.fetch(queue, { batchSize: 5 })
+
+    assert.strictEqual(jobs1.length, 1)
+
+    await boss.updateQueue(queue, { rateLimit: { count: 2, perSeconds: 60 } })
+
+    const jobs2 = await boss.fetch(queue, { batchSize: 5 })
+
+    assert.strictEqual(jobs2.length, 2)
+
+    await boss.updateQueue(queue, { rateLimit: null })
+
+    const { rateLimit } = await boss.getQueue(queue)
+
+    assert.strictEqual(rateLimit, null)
+
+    const jobs3 = await boss.fetch(queue, { batchSize: 5 })
+
+    assert.strictEqual(jobs3.length, 2)
+  })
+
+  it('should reject an invalid keyConcurrencyLimit', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true })
+    const queue = this.test.bossConfig.schema
+
+    try {
+      await boss.createQueue(queue, { keyConcurrencyLimit: 1.5 })
+      assert(false)
+    } catch (err) {
+      assert(err.message.includes('keyConcurrencyLimit'))
+    }
+  })
+
+  it('should not fetch more active jobs per singletonKey than the keyConcurrencyLimit', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true })
+    const queue = this.test.bossConfig.schema
+
+    await boss.createQueue(queue, { keyConcurrencyLimit: 2 })
+
+    const { keyConcurrencyLimit } = await boss.getQueue(queue)
+
+    assert.strictEqual(keyConcurrencyLimit, 2)
+
+    await boss.insert([
+      { name: queue, singletonKey: 'a' },
+      { name: queue, singletonKey: 'a' },
+      { name: queue, singletonKey: 'a' },
+      { name: queue, singletonKey: 'b' },
+      { name: queue }
+    ])
+
+    const jobs1 = await boss.fetch(queue, { batchSize: 5, includeMetadata: true })
+
+    assert.strictEqual(jobs1.length, 4)
+    assert.strictEqual(jobs1.filter(job => job.singletonKey === 'a').length, 2)
+
+    const jobs2 = await boss.fetch(queue, { batchSize: 5 })
+
+    assert.strictEqual(jobs2.length, 0)
+
+    const jobA = jobs1.find(job => job.singletonKey === 'a')
+
+    await boss.complete(queue, jobA.id)
+
+    const [jobs3] = await boss.fetch(queue, { batchSize: 5, includeMetadata: true })
+
+    assert.strictEqual(jobs3.singletonKey, 'a')
+  })
+
+  it('should enforce the keyConcurrencyLimit across concurrent fetches', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true, max: 10 })
+    const queue = this.test.bossConfig.schema
+
+    await boss.createQueue(queue, { keyConcurrencyLimit: 3 })
+
+    await boss.insert(Array.from({ length: 20 }, (_, i) => ({ name: queue, singletonKey: String(i % 2) })))
+
+    for (let i = 0; i < 3; i++) {
+      await Promise.all(Array.from({ length: 10 }, () => boss.fetch(queue, { batchSize: 2 })))
+    }
+
+    const active = await boss.getQueueSize(queue, { before: 'completed' }) - await boss.getQueueSize(queue)
+
+    assert.strictEqual(active, 6)
+  })
+
+  it('should update and remove the keyConcurrencyLimit', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true })
+    const queue = this.test.bossConfig.schema
+
+    await boss.createQueue(queue, { keyConcurrencyLimit: 1 })
+
+    await boss.insert([1, 2, 3, 4].map(() => ({ name: queue, singletonKey: 'a' })))
+
+    await boss.updateQueue(queue, { keyConcurrencyLimit: 2 })
+
+    const jobs1 = await boss.fetch(queue, { batchSize: 4 })
+
+    assert.strictEqual(jobs1.length, 2)
+
+    await boss.updateQueue(queue, { keyConcurrencyLimit: null })
+
+    const jobs2 = await boss.fetch(queue, { batchSize: 4 })
+
+    assert.strictEqual(jobs2.length, 2)
+  })
 })
@@ -0,0 +1,171 @@
+const assert = require('node:assert')
+const helper = require('./testHelper')
+
+describe('redrive', function () {
+  async function deadLetterJobs (boss, queue, deadLetter, dataList) {
+    const ids = []
+
+    for (const data of dataList) {
+      const id = await boss.send(queue, data, { deadLetter })
+      await boss.fetch(queue)
+      await boss.fail(queue, id, new Error(`failed ${id}`))
+      ids.push(id)
+    }
+
+    return ids
+  }
+
+  it('should reject an invalid limit', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true })
+    const queue = this.test.bossConfig.schema
+
+    try {
+      await boss.redrive(queue, { limit: 0 })
+      assert(false)
+    } catch (err) {
+      assert(err.message.includes('limit'))
+    }
+  })
+
+  it('should record the source queue, id and error on dead letter jobs', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true })
+    const queue = this.test.bossConfig.schema
+    const deadLetter = `${queue}_dlq`
+
+    await boss.createQueue(queue)
+    await boss.createQueue(deadLetter)
+
+    const [jobId] = await deadLetterJobs(boss, queue, deadLetter, [{ key: 1 }])
+
+    const [job] = await boss.fetch(deadLetter, { includeMetadata: true })
+
+    assert.strictEqual(job.sourceName, queue)
+    assert.strictEqual(job.sourceId, jobId)
+    assert.strictEqual(job.output.message, `failed ${jobId}`)
+  })
+
+  it('should send dead letter jobs back to their source queue', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true })
+    const queue = this.test.bossConfig.schema
+    const deadLetter = `${queue}_dlq`
+
+    await boss.createQueue(queue)
+    await boss.createQueue(deadLetter)
+
+    const [jobId] = await deadLetterJobs(boss, queue, deadLetter, [{ key: 1 }, { key: 2 }])
+
+    const { affected } = await boss.redrive(deadLetter)
+
+    assert.strictEqual(affected, 2)
+    assert.strictEqual(await boss.getQueueSize(deadLetter), 0)
+
+    const jobs = await boss.fetch(queue, { batchSize: 5, includeMetadata: true })
+
+    assert.strictEqual(jobs.length, 2)
+    assert.deepStrictEqual(jobs.map(job => job.data.key).sort(), [1, 2])
+
+    const job = jobs.find(job => job.data.key === 1)
+
+    assert.strictEqual(job.sourceName, queue)
+    assert.strictEqual(job.sourceId, jobId)
+    assert.strictEqual(job.retryCount, 0)
+  })
+
+  it('should send dead letter jobs to a targetQueue', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true })
+    const queue = this.test.bossConfig.schema
+    const deadLetter = `${queue}_dlq`
+    const targetQueue = `${queue}_target`
+
+    await boss.createQueue(queue)
+    await boss.createQueue(deadLetter)
+    await boss.createQueue(targetQueue)
+
+    await deadLetterJobs(boss, queue, deadLetter, [{ key: 1 }])
+
+    await boss.redrive(deadLetter, { targetQueue })
+
+    const [job] = await boss.fetch(targetQueue)
+
+    assert.strictEqual(job.data.key, 1)
+    assert.strictEqual(await boss.getQueueSize(queue), 0)
+  })
+
+  it('should only redrive jobs matching the filter', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true })
+    const queue = this.test.bossConfig.schema
+    const deadLetter = `${queue}_dlq`
+
+    await boss.createQueue(queue)
+    await boss.createQueue(deadLetter)
+
+    await deadLetterJobs(boss, queue, deadLetter, [{ tenant: 'a' }, { tenant: 'b' }, { tenant: 'a' }])
+
+    const { affected } = await boss.redrive(deadLetter, { filter: { tenant: 'a' } })
+
+    assert.strictEqual(affected, 2)
+
+    const [job] = await boss.fetch(deadLetter)
+
+    assert.strictEqual(job.data.tenant, 'b')
+  })
+
+  it('should redrive no more than the limit', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true })
+    const queue = this.test.bossConfig.schema
+    const deadLetter = `${queue}_dlq`
+
+    await boss.createQueue(queue)
+    await boss.createQueue(deadLetter)
+
+    await deadLetterJobs(boss, queue, deadLetter, [{ key: 1 }, { key: 2 }, { key: 3 }])
+
+    const { affected } = await boss.redrive(deadLetter, { limit: 2 })
+
+    assert.strictEqual(affected, 2)
+    assert.strictEqual(await boss.getQueueSize(queue), 2)
+    assert.strictEqual(await boss.getQueueSize(deadLetter), 1)
+  })
+
+  it('should leave dead letter jobs in place if the target queue does not exist', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true })
+    const queue = this.test.bossConfig.schema
+    const deadLetter = `${queue}_dlq`
+
+    await boss.createQueue(queue)
+    await boss.createQueue(deadLetter)
+
+    await deadLetterJobs(boss, queue, deadLetter, [{ key: 1 }])
+
+    try {
+      await boss.redrive(deadLetter, { targetQueue: `${queue}_missing` })
+      assert(false)
+    } catch (err) {
+      assert(err)
+    }
+
+    assert.strictEqual(await boss.getQueueSize(deadLetter), 1)
+  })
+
+  it('should keep the source of a redriven job that fails again', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true })
+    const queue = this.test.bossConfig.schema
+    const deadLetter = `${queue}_dlq`
+
+    await boss.createQueue(queue)
+    await boss.createQueue(deadLetter)
+
+    const [jobId] = await deadLetterJobs(boss, queue, deadLetter, [{ key: 1 }])
+
+    await boss.redrive(deadLetter)
+
+    const [job] = await boss.fetch(queue)
+
+    await boss.fail(queue, job.id)
+
+    const failed = await boss.getJobById(queue, job.id)
+
+    assert.strictEqual(failed.state, 'failed')
+    assert.strictEqual(failed.sourceId, jobId)
+  })
+})
@@ -0,0 +1,93 @@
+const assert = require('node:assert')
+const helper = require('./testHelper')
+const { delay } = require('../src/tools')
+
+describe('rerun', function () {
+  it('should reject overrides that change the job id', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const id = await boss.send(queue)
+
+    try {
+      await boss.rerun(queue, id, { overrides: { id } })
+      assert(false)
+    } catch (err) {
+      assert(err.message.includes('overrides'))
+    }
+  })
+
+  it('should rerun a failed job with the same data and options', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const id = await boss.send(queue, { order: 1 }, { retryLimit: 0, priority: 3, singletonKey: 'a', expireInSeconds: 30 })
+
+    await boss.fetch(queue)
+    await boss.fail(queue, id)
+
+    const rerunId = await boss.rerun(queue, id)
+
+    assert(rerunId)
+    assert.notStrictEqual(rerunId, id)
+
+    const job = await boss.getJobById(queue, rerunId)
+
+    assert.strictEqual(job.state, 'created')
+    assert.strictEqual(job.data.order, 1)
+    assert.strictEqual(job.priority, 3)
+    assert.strictEqual(job.retryLimit, 0)
+    assert.strictEqual(job.singletonKey, 'a')
+    assert.strictEqual(job.expireIn.seconds, 30)
+    assert.strictEqual(job.sourceName, queue)
+    assert.strictEqual(job.sourceId, id)
+  })
+
+  it('should apply overrides to a rerun job', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const id = await boss.send(queue, { order: 1 }, { retryLimit: 0, priority: 3 })
+
+    const rerunId = await boss.rerun(queue, id, { overrides: { priority: 10, retryLimit: 4, startAfter: 60 } })
+
+    const job = await boss.getJobById(queue, rerunId)
+
+    assert.strictEqual(job.data.order, 1)
+    assert.strictEqual(job.priority, 10)
+    assert.strictEqual(job.retryLimit, 4)
+    assert(job.startAfter > new Date(Date.now() + 50000))
+  })
+
+  it('should only rerun an archived job with fromArchive', async function () {
+    const config = { ...this.test.bossConfig, archiveCompletedAfterSeconds: 1 }
+    const boss = this.test.boss = await helper.start(config)
+    const queue = this.test.bossConfig.schema
+
+    const id = await boss.send(queue, { order: 1 })
+
+    await boss.fetch(queue)
+    await boss.complete(queue, id)
+
+    await delay(1000)
+    await boss.maintain()
+
+    assert.strictEqual(await boss.rerun(queue, id), null)
+
+    const rerunId = await boss.rerun(queue, id, { fromArchive: true })
+    const [job] = await boss.fetch(queue, { includeMetadata: true })
+
+    assert.strictEqual(job.id, rerunId)
+    assert.strictEqual(job.data.order, 1)
+    assert.strictEqual(job.sourceId, id)
+  })
+
+  it('should return null if the job does not exist', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const rerunId = await boss.rerun(queue, '00000000-0000-0000-0000-000000000000', { fromArchive: true })
+
+    assert.strictEqual(rerunId, null)
+  })
+})
@@ -60,4 +60,42 @@ describe('cancel', function () {
     assert(job2 && job2.state === 'created')
     assert.strictEqual(callCount, 4)
   })
+  it('should resume cancelled jobs matching a filter', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const id1 = await boss.send(queue, { tenant: 'a' })
+    const id2 = await boss.send(queue, { tenant: 'b' })
+
+    await boss.cancelJobs(queue, { state: 'created' })
+
+    const { affected } = await boss.resumeJobs(queue, { data: { tenant: 'a' } })
+
+    assert.strictEqual(affected, 1)
+    assert.strictEqual((await boss.getJobById(queue, id1)).state, 'created')
+    assert.strictEqual((await boss.getJobById(queue, id2)).state, 'cancelled')
+  })
+
+  it('should only resume one job of each key in a short queue', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true })
+    const queue = this.test.bossConfig.schema
+
+    await boss.createQueue(queue, { policy: 'short' })
+
+    const id1 = await boss.send(queue, null, { singletonKey: 'a' })
+    await boss.cancel(queue, id1)
+
+    const id2 = await boss.send(queue, null, { singletonKey: 'a' })
+    await boss.cancel(queue, id2)
+
+    const first = await boss.resumeJobs(queue, { state: 'cancelled' })
+
+    assert.strictEqual(first.affected, 1)
+    assert.strictEqual((await boss.getJobById(queue, id1)).state, 'created')
+
+    const second = await boss.resumeJobs(queue, { state: 'cancelled' })
+
+    assert.strictEqual(second.affected, 0)
+    assert.strictEqual((await boss.resume(queue, id2)).affected, 0)
+  })
 })
@@ -86,4 +86,214 @@ describe('retries', function () {
 
     assert(processCount < retryLimit)
   })
+
+  it('should reject an invalid retryStrategy', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    try {
+      await boss.send(queue, null, { retryStrategy: 'random' })
+      assert(false)
+    } catch (err) {
+      assert(err.message.includes('retryStrategy'))
+    }
+  })
+
+  it('should reject invalid retryDelays', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    try {
+      await boss.send(queue, null, { retryDelays: [1, -1] })
+      assert(false)
+    } catch (err) {
+      assert(err.message.includes('retryDelays'))
+    }
+  })
+
+  it('should retry with a linear delay', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const jobId = await boss.send(queue, null, { retryLimit: 2, retryDelay: 1, retryStrategy: 'linear' })
+
+    await boss.fetch(queue)
+    await boss.fail(queue, jobId)
+
+    const delay1 = await getRetryDelay(boss, queue, jobId)
+
+    assert(delay1 > 0 && delay1 <= 1)
+
+    await delay(1000)
+
+    await boss.fetch(queue)
+    await boss.fail(queue, jobId)
+
+    const delay2 = await getRetryDelay(boss, queue, jobId)
+
+    assert(delay2 > 1 && delay2 <= 2)
+  })
+
+  it('should cap an exponential backoff with retryDelayMax', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const jobId = await boss.send(queue, null, { retryLimit: 1, retryDelay: 10, retryStrategy: 'exponential', retryDelayMax: 12 })
+
+    await boss.fetch(queue)
+    await boss.fail(queue, jobId)
+
+    const retryDelay = await getRetryDelay(boss, queue, jobId)
+
+    assert(retryDelay > 9 && retryDelay <= 12)
+  })
+
+  it('should retry with a jitter delay', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const jobId = await boss.send(queue, null, { retryLimit: 1, retryDelay: 10, retryStrategy: 'jitter' })
+
+    await boss.fetch(queue)
+    await boss.fail(queue, jobId)
+
+    const retryDelay = await getRetryDelay(boss, queue, jobId)
+
+    assert(retryDelay > 9 && retryDelay <= 30)
+  })
+
+  it('should retry with retryDelays and default the retryLimit to its length', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const jobId = await boss.send(queue, null, { retryDelays: [0, 60] })
+
+    await boss.fetch(queue)
+    await boss.fail(queue, jobId)
+
+    const [job] = await boss.fetch(queue, { includeMetadata: true })
+
+    assert.strictEqual(job.id, jobId)
+    assert.strictEqual(job.retryLimit, 2)
+    assert.deepStrictEqual(job.retryDelays, [0, 60])
+
+    await boss.fail(queue, jobId)
+
+    const retryDelay = await getRetryDelay(boss, queue, jobId)
+
+    assert(retryDelay > 59 && retryDelay <= 60)
+  })
+
+  it('should use the retry strategy of the queue', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true })
+    const queue = this.test.bossConfig.schema
+
+    await boss.createQueue(queue, { retryLimit: 1, retryDelays: [30] })
+
+    const { retryDelays } = await boss.getQueue(queue)
+
+    assert.deepStrictEqual(retryDelays, [30])
+
+    const jobId = await boss.send(queue)
+
+    await boss.fetch(queue)
+    await boss.fail(queue, jobId)
+
+    const retryDelay = await getRetryDelay(boss, queue, jobId)
+
+    assert(retryDelay > 29 && retryDelay <= 30)
+  })
+
+  it('should honor retryAfter from an error thrown in a worker', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const jobId = await boss.send(queue, null, { retryLimit: 1 })
+
+    await boss.work(queue, { pollingIntervalSeconds: 0.5 }, async () => {
+      const err = new Error('rate limited')
+      err.retryAfter = 30
+      throw err
+    })
+
+    await delay(1000)
+
+    const job = await boss.getJobById(queue, jobId)
+
+    assert.strictEqual(job.state, 'retry')
+    assert.strictEqual(job.output.retryAfter, 30)
+
+    const retryDelay = (job.startAfter - Date.now()) / 1000
+
+    assert(retryDelay > 28 && retryDelay <= 30)
+  })
+
+  it('should retry failed jobs matching a filter', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    const id1 = await boss.send(queue, { deploy: 1 }, { retryLimit: 0 })
+    const id2 = await boss.send(queue, { deploy: 2 }, { retryLimit: 0 })
+
+    await boss.fetch(queue, { batchSize: 2 })
+    await boss.fail(queue, [id1, id2])
+
+    const { affected } = await boss.retryJobs(queue, { state: 'failed', data: { deploy: 2 } })
+
+    assert.strictEqual(affected, 1)
+    assert.strictEqual((await boss.getJobById(queue, id1)).state, 'failed')
+
+    const [job] = await boss.fetch(queue, { includeMetadata: true })
+
+    assert.strictEqual(job.id, id2)
+    assert.strictEqual(job.retryCount, 0)
+    assert.strictEqual(job.completedOn, null)
+
+    await boss.fail(queue, job.id)
+
+    assert.strictEqual((await boss.getJobById(queue, job.id)).state, 'failed')
+  })
+
+  it('should not retry jobs that have not failed or been cancelled', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    await boss.send(queue)
+    await boss.send(queue)
+    await boss.fetch(queue)
+
+    const { affected } = await boss.retryJobs(queue, { state: ['created', 'active'] })
+
+    assert.strictEqual(affected, 0)
+  })
+
+  it('should only retry one job of each key in a stately queue', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, noDefault: true })
+    const queue = this.test.bossConfig.schema
+
+    await boss.createQueue(queue, { policy: 'stately' })
+
+    for (const singletonKey of ['a', 'a', 'b']) {
+      const id = await boss.send(queue, null, { singletonKey, retryLimit: 0 })
+      await boss.fetch(queue)
+      await boss.fail(queue, id)
+    }
+
+    const first = await boss.retryJobs(queue, { state: 'failed' })
+
+    assert.strictEqual(first.affected, 2)
+
+    const second = await boss.retryJobs(queue, { state: 'failed' })
+
+    assert.strictEqual(second.affected, 0)
+
+    const { jobs } = await boss.findJobs(queue, { state: 'retry' })
+
+    assert.deepStrictEqual(jobs.map(i => i.singletonKey).sort(), ['a', 'b'])
+  })
 })
+
+async function getRetryDelay (boss, queue, id) {
+  const job = await boss.getJobById(queue, id)
+  return (job.startAfter - Date.now()) / 1000
+}
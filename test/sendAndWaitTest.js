@@ -0,0 +1,108 @@
+const assert = require('node:assert')
+const helper = require('./testHelper')
+const { delay } = require('../src/tools')
+
+describe('sendAndWait', function () {
+  it('should reject an invalid timeout', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig })
+    const queue = this.test.bossConfig.schema
+
+    try {
+      await boss.sendAndWait(queue, null, null, { timeout: -1 })
+      assert(false)
+    } catch (err) {
+      assert(err.message.includes('timeout'))
+    }
+  })
+
+  it('should resolve with the output of a completed job', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, pollingIntervalSeconds: 0.5 })
+    const queue = this.test.bossConfig.schema
+
+    await boss.work(queue, async ([job]) => ({ sum: job.data.a + job.data.b }))
+
+    const output = await boss.sendAndWait(queue, { a: 1, b: 2 }, null, { timeout: 5000 })
+
+    assert.strictEqual(output.sum, 3)
+  })
+
+  it('should be notified of completion from another instance when notifyWorkers is enabled', async function () {
+    const config = { ...this.test.bossConfig, notifyWorkers: true, pollingIntervalSeconds: 10 }
+    const boss = this.test.boss = await helper.start(config)
+    const queue = this.test.bossConfig.schema
+
+    const worker = await helper.start({ ...config, noDefault: true })
+
+    try {
+      await worker.work(queue, async () => ({ done: true }))
+
+      // let the first polling fetch pass
+      await delay(500)
+
+      const started = Date.now()
+
+      const output = await boss.sendAndWait(queue, null, null, { timeout: 5000 })
+
+      assert(output.done)
+      assert(Date.now() - started < 5000)
+    } finally {
+      await worker.stop({ graceful: false })
+    }
+  })
+
+  it('should reject with the error of a failed job', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, pollingIntervalSeconds: 0.5 })
+    const queue = this.test.bossConfig.schema
+
+    await boss.work(queue, async () => { throw new Error('handler failed') })
+
+    try {
+      await boss.sendAndWait(queue, null, { retryLimit: 0 }, { timeout: 5000 })
+      assert(false)
+    } catch (err) {
+      assert.strictEqual(err.message, 'handler failed')
+      assert.strictEqual(err.cause.message, 'handler failed')
+    }
+  })
+
+  it('should keep waiting while a job is retried', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, pollingIntervalSeconds: 0.5 })
+    const queue = this.test.bossConfig.schema
+
+    let attempts = 0
+
+    await boss.work(queue, async () => {
+      if (attempts++ === 0) {
+        throw new Error('first attempt failed')
+      }
+
+      return { attempts }
+    })
+
+    const output = await boss.sendAndWait(queue, null, { retryLimit: 1 }, { timeout: 5000 })
+
+    assert.strictEqual(output.attempts, 2)
+  })
+
+  it('should reject when a job is cancelled', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, pollingIntervalSeconds: 0.5 })
+    const queue = this.test.bossConfig.schema
+
+    const promise = boss.sendAndWait(queue, null, null, { timeout: 5000 })
+
+    await delay(500)
+
+    const [job] = await boss.fetch(queue)
+
+    await boss.cancel(queue, job.id)
+
+    await assert.rejects(promise, /cancelled/)
+  })
+
+  it('should reject after the timeout', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, pollingIntervalSeconds: 0.5 })
+    const queue = this.test.bossConfig.schema
+
+    await assert.rejects(boss.sendAndWait(queue, null, null, { timeout: 1000 }), /timed out/)
+  })
+})
@@ -90,6 +90,50 @@ describe('work', function () {
     assert.strictEqual(processCount, 2)
   })
 
+  it('should wake a worker when a job is sent with notifyWorkers enabled', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, notifyWorkers: true })
+    const queue = this.test.bossConfig.schema
+
+    let processCount = 0
+
+    await boss.work(queue, { pollingIntervalSeconds: 10 }, () => processCount++)
+
+    await delay(500)
+
+    await boss.send(queue)
+
+    await delay(1000)
+
+    assert.strictEqual(processCount, 1)
+
+    await boss.insert([{ name: queue }])
+
+    await delay(1000)
+
+    assert.strictEqual(processCount, 2)
+  })
+
+  it('should wake a worker in another instance when a job is sent', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, notifyWorkers: true })
+    const queue = this.test.bossConfig.schema
+
+    const sender = await helper.start({ ...this.test.bossConfig, notifyWorkers: true, noDefault: true })
+
+    let processCount = 0
+
+    await boss.work(queue, { pollingIntervalSeconds: 10 }, () => processCount++)
+
+    await delay(500)
+
+    await sender.send(queue)
+
+    await delay(1000)
+
+    await sender.stop({ graceful: false })
+
+    assert.strictEqual(processCount, 1)
+  })
+
   it('should remove a worker', async function () {
     const boss = this.test.boss = await helper.start(this.test.bossConfig)
     const queue = this.test.bossConfig.schema
@@ -244,6 +288,64 @@ describe('work', function () {
     await boss.work(queue, () => {})
   })
 
+  it('should reject an invalid localConcurrency option', async function () {
+    const boss = this.test.boss = await helper.start(this.test.bossConfig)
+    const queue = this.test.bossConfig.schema
+
+    try {
+      await boss.work(queue, { localConcurrency: 0 }, () => {})
+      assert(false)
+    } catch (err) {
+      assert(err.message.includes('localConcurrency'))
+    }
+  })
+
+  it('should process jobs concurrently with localConcurrency', async function () {
+    const boss = this.test.boss = await helper.start(this.test.bossConfig)
+    const queue = this.test.bossConfig.schema
+
+    const localConcurrency = 3
+    let active = 0
+    let maxActive = 0
+
+    for (let i = 0; i < localConcurrency; i++) {
+      await boss.send(queue)
+    }
+
+    await boss.work(queue, { localConcurrency }, async () => {
+      maxActive = Math.max(maxActive, ++active)
+      await delay(1000)
+      active--
+    })
+
+    await delay(1500)
+
+    assert.strictEqual(maxActive, localConcurrency)
+  })
+
+  it('should report wip data for each slot with localConcurrency', async function () {
+    const boss = this.test.boss = await helper.start(this.test.bossConfig)
+    const queue = this.test.bossConfig.schema
+
+    const localConcurrency = 2
+    const wipEvents = []
+
+    boss.on('wip', data => wipEvents.push(data))
+
+    await boss.send(queue)
+    await boss.send(queue)
+
+    await boss.work(queue, { localConcurrency }, () => delay(3000))
+
+    await delay(4000)
+
+    const workers = wipEvents.map(([worker]) => worker)
+
+    assert(workers.length)
+    assert(workers.every(worker => worker.slots.length === localConcurrency))
+    assert(workers.some(worker => worker.count === 2 && worker.slots.every(slot => slot.state === 'processing' && slot.count === 1)))
+  })
+
   it('should honor the includeMetadata option', async function () {
     const boss = this.test.boss = await helper.start(this.test.bossConfig)
     const queue = this.test.bossConfig.schema
@@ -295,6 +397,106 @@ describe('work', function () {
     assert(job2.output.message.includes('handler execution exceeded'))
   })
 
+  it('should abort the job signal at expiration in worker', async function () {
+    const boss = this.test.boss = await helper.start({ ...this.test.bossConfig, supervise: false })
+    const queue = this.test.bossConfig.schema
+
+    await boss.send(queue, null, { expireInSeconds: 1 })
+
+    let reason
+
+    await boss.work(queue, ([job]) => new Promise(resolve => {
+      job.signal.addEventListener('abort', () => {
+        reason = job.signal.reason
+        resolve()
+      })
+    }))
+
+    await delay(2000)
+
+    assert(reason.message.includes('handler execution exceeded'))
+  })
+
+  it('should abort the job signal when the job is cancelled', async function () {
+    const boss = this.test.boss = await helper.start(this.test.bossConfig)
+    const queue = this.test.bossConfig.schema
+
+    const jobId = await boss.send(queue)
+
+    let aborted = false
+
+    await boss.work(queue, ([job]) => new Promise(resolve => {
+      job.signal.addEventListener('abort', () => {
+        aborted = true
+        resolve()
+      })
+    }))
+
+    await delay(500)
+
+    await boss.cancel(queue, jobId)
+
+    assert(aborted)
+
+    const job = await boss.getJobById(queue, jobId)
+
+    assert.strictEqual(job.state, 'cancelled')
+  })
+
+  it('should abort the job signal when the job is cancelled by another instance with notifyWorkers enabled', async function () {
+    const config = { ...this.test.bossConfig, notifyWorkers: true }
+    const boss = this.test.boss = await helper.start(config)
+    const queue = this.test.bossConfig.schema
+
+    const worker = await helper.start({ ...config, noDefault: true })
+
+    try {
+      const ids = [await boss.send(queue), await boss.send(queue)]
+
+      const reasons = []
+
+      await worker.work(queue, { batchSize: 2 }, jobs => Promise.all(jobs.map(job => new Promise(resolve => {
+        job.signal.addEventListener('abort', () => {
+          reasons.push(job.signal.reason.message)
+          resolve()
+        })
+      }))))
+
+      await delay(500)
+
+      await boss.cancel(queue, ids[0])
+      await boss.cancelJobs(queue, { state: 'active' })
+
+      await delay(500)
+
+      assert.deepStrictEqual(reasons, ['job cancelled', 'job cancelled'])
+    } finally {
+      await worker.stop({ graceful: false })
+    }
+  })
+
+  it('should abort the job signal when stopped without graceful shutdown', async function () {
+    const boss = this.test.boss = await helper.start(this.test.bossConfig)
+    const queue = this.test.bossConfig.schema
+
+    await boss.send(queue)
+
+    let signal
+
+    await boss.work(queue, ([job]) => {
+      signal = job.signal
+      return delay(5000)
+    })
+
+    await delay(500)
+
+    assert(!signal.aborted)
+
+    await boss.stop({ graceful: false })
+
+    assert(signal.aborted)
+  })
+
   it('should emit wip event every 2s for workers', async function () {
     const boss = this.test.boss = await helper.start(this.test.bossConfig)
     const queue = this.test.bossConfig.schema
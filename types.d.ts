@@ -15,7 +15,13 @@ declare namespace PgBoss {
     standard: 'standard'
     short: 'short',
     singleton: 'singleton',
-    stately: 'stately'
+    stately: 'stately',
+    grouped: 'grouped'
+  }
+
+  class UnrecoverableError extends Error {
+    constructor(message?: string, options?: { cause?: unknown });
+    retry: false;
   }
   interface Db {
     executeSql(text: string, values: any[]): Promise<{ rows: any[] }>;
@@ -40,6 +46,15 @@ declare namespace PgBoss {
     monitorStateIntervalMinutes?: number;
   }
 
+  interface NotificationOptions {
+    notifyWorkers?: boolean;
+    jobEvents?: boolean | 'local' | 'cluster';
+  }
+
+  interface JobHistoryOptions {
+    jobHistory?: boolean;
+  }
+
   interface SchedulingOptions {
     schedule?: boolean;
 
@@ -69,6 +84,8 @@ declare namespace PgBoss {
   type ConstructorOptions =
     DatabaseOptions
     & QueueOptions
+    & NotificationOptions
+    & JobHistoryOptions
     & SchedulingOptions
     & MaintenanceOptions
     & ExpirationOptions
@@ -95,6 +112,14 @@ declare namespace PgBoss {
     retryBackoff?: boolean;
   }
 
+  type RetryStrategy = 'fixed' | 'linear' | 'exponential' | 'jitter'
+
+  interface RetryStrategyOptions {
+    retryStrategy?: RetryStrategy | null;
+    retryDelayMax?: number | null;
+    retryDelays?: number[] | null;
+  }
+
   interface JobOptions {
     id?: string,
     priority?: number;
@@ -111,14 +136,31 @@ declare namespace PgBoss {
     db?: Db;
   }
 
+  type DependencyPolicy = 'cancel' | 'fail' | 'run'
+
+  interface JobDependency {
+    name: string;
+    id: string;
+  }
+
+  interface DependencyOptions {
+    dependsOn?: JobDependency[];
+    dependencyPolicy?: DependencyPolicy;
+  }
+
   type InsertOptions = ConnectionOptions;
 
-  type SendOptions = JobOptions & ExpirationOptions & RetentionOptions & RetryOptions & ConnectionOptions;
+  type SendOptions = JobOptions & ExpirationOptions & RetentionOptions & RetryOptions & RetryStrategyOptions & DependencyOptions & ConnectionOptions;
+
+  interface RateLimit {
+    count: number;
+    perSeconds: number;
+  }
 
-  type QueuePolicy = 'standard' | 'short' | 'singleton' | 'stately'
+  type QueuePolicy = 'standard' | 'short' | 'singleton' | 'stately' | 'grouped'
 
-  type Queue = RetryOptions & ExpirationOptions & RetentionOptions & { name: string, policy?: QueuePolicy, deadLetter?: string }
-  type QueueResult = Queue & { createdOn: Date, updatedOn: Date }
+  type Queue = RetryOptions & RetryStrategyOptions & ExpirationOptions & RetentionOptions & { name: string, policy?: QueuePolicy, deadLetter?: string, concurrencyLimit?: number | null, keyConcurrencyLimit?: number | null, fairScheduling?: boolean, fairWeights?: { [key: string]: number } | null, priorityAgingSeconds?: number | null, rateLimit?: RateLimit | null }
+  type QueueResult = Queue & { paused: boolean, createdOn: Date, updatedOn: Date }
   type ScheduleOptions = SendOptions & { tz?: string }
 
   interface JobPollingOptions {
@@ -131,15 +173,27 @@ declare namespace PgBoss {
     batchSize?: number;
   }
 
-  type WorkOptions = JobFetchOptions & JobPollingOptions
+  interface WorkConcurrencyOptions {
+    localConcurrency?: number;
+    heartbeatIntervalSeconds?: number;
+    progressIntervalSeconds?: number;
+  }
+
+  type WorkOptions = JobFetchOptions & JobPollingOptions & WorkConcurrencyOptions
   type FetchOptions = JobFetchOptions & ConnectionOptions;
 
+  interface WorkContext {
+    signal: AbortSignal;
+    heartbeat(): Promise<PgBoss.CommandResponse>;
+    reportProgress(value: any): Promise<void>;
+  }
+
   interface WorkHandler<ReqData> {
-    (job: PgBoss.Job<ReqData>[]): Promise<any>;
+    (job: (PgBoss.Job<ReqData> & WorkContext)[]): Promise<any>;
   }
 
   interface WorkWithMetadataHandler<ReqData> {
-    (job: PgBoss.JobWithMetadata<ReqData>[]): Promise<any>;
+    (job: (PgBoss.JobWithMetadata<ReqData> & WorkContext)[]): Promise<any>;
   }
 
   interface Request {
@@ -176,6 +230,12 @@ declare namespace PgBoss {
     name: string;
     data: T;
     expireInSeconds: number;
+    dependencies?: JobDependencyResult[] | null;
+  }
+
+  interface JobDependencyResult extends JobDependency {
+    state: JobWithMetadata['state'] | null;
+    output: object | null;
   }
 
   interface JobWithMetadata<T = object> extends Job<T> {
@@ -185,8 +245,12 @@ declare namespace PgBoss {
     retryCount: number;
     retryDelay: number;
     retryBackoff: boolean;
+    retryStrategy: RetryStrategy | null;
+    retryDelayMax: number | null;
+    retryDelays: number[] | null;
     startAfter: Date;
     startedOn: Date;
+    heartbeatOn: Date | null;
     singletonKey: string | null;
     singletonOn: Date | null;
     expireIn: PostgresInterval;
@@ -195,9 +259,26 @@ declare namespace PgBoss {
     keepUntil: Date;
     deadLetter: string,
     policy: QueuePolicy,
+    dependsOn: JobDependency[] | null,
+    dependencyPolicy: DependencyPolicy | null,
+    sourceName: string | null,
+    sourceId: string | null,
+    progress: any,
+    owner: JobOwner | null,
     output: object
   }
 
+  interface JobOwner {
+    instanceId: string;
+    workerId?: string;
+    hostname: string;
+    pid: number;
+  }
+
+  interface CompletionOptions extends ConnectionOptions {
+    owner?: Partial<JobOwner>;
+  }
+
   interface JobInsert<T = object> {
     id?: string,
     name: string;
@@ -206,12 +287,21 @@ declare namespace PgBoss {
     retryLimit?: number;
     retryDelay?: number;
     retryBackoff?: boolean;
+    retryStrategy?: RetryStrategy;
+    retryDelayMax?: number;
+    retryDelays?: number[];
     startAfter?: Date | string;
     singletonKey?: string;
     singletonSeconds?: number;
     expireInSeconds?: number;
     keepUntil?: Date | string;
     deadLetter?: string;
+    dependsOn?: JobDependency[];
+    dependencyPolicy?: DependencyPolicy;
+  }
+
+  interface FlowJob<T = object> extends JobInsert<T> {
+    children?: FlowJob[];
   }
 
   interface MonitorState {
@@ -240,14 +330,94 @@ declare namespace PgBoss {
     lastJobEndedOn: Date,
     lastJobDuration: number,
     lastError: object,
-    lastErrorOn: Date
+    lastErrorOn: Date,
+    progress: { id: string, value: any }[],
+    slots: WorkerSlot[]
+  }
+
+  type JobEventName = 'job-active' | 'job-completed' | 'job-failed' | 'job-retry' | 'job-expired' | 'job-cancelled'
+
+  interface JobEvent {
+    id: string;
+    name: string;
+    state: JobWithMetadata['state'];
+    duration: number | null;
+    error?: object | null;
+  }
+
+  interface WorkerSlot {
+    index: number,
+    state: 'created' | 'fetching' | 'processing' | 'waiting' | 'stopped',
+    count: number,
+    lastFetchedOn: Date,
+    lastJobStartedOn: Date,
+    lastJobEndedOn: Date
+  }
+
+  interface WaitOptions {
+    timeout?: number;
+  }
+
+  interface RerunOptions extends ConnectionOptions {
+    fromArchive?: boolean;
+    overrides?: Omit<JobInsert, 'id' | 'name'>;
+  }
+
+  interface JobFilter {
+    state?: JobWithMetadata['state'] | JobWithMetadata['state'][];
+    singletonKey?: string;
+    data?: object;
+    since?: Date | string;
+    until?: Date | string;
+    createdAfter?: Date | string;
+    createdBefore?: Date | string;
+  }
+
+  interface FindJobsOptions extends JobFilter, ConnectionOptions {
+    includeArchive?: boolean;
+    orderBy?: 'newest' | 'oldest';
+    limit?: number;
+    cursor?: string | null;
+  }
+
+  interface FindJobsResult<T = object> {
+    jobs: JobWithMetadata<T>[];
+    cursor: string | null;
+  }
+
+  interface JobHistoryEntry {
+    id: number;
+    jobId: string;
+    name: string;
+    state: JobWithMetadata['state'];
+    attempt: number;
+    workerId: string | null;
+    output: object | null;
+    createdOn: Date;
+  }
+
+  interface RedriveOptions extends ConnectionOptions {
+    filter?: object;
+    targetQueue?: string;
+    limit?: number;
+  }
+
+  interface AffectedResult {
+    affected: number;
+  }
+
+  interface CommandResponse {
+    jobs: string[];
+    requested: number;
+    affected: number;
   }
 
   interface StopOptions {
     close?: boolean,
     graceful?: boolean,
     timeout?: number,
-    wait?: boolean
+    wait?: boolean,
+    release?: boolean
   }
 
   interface OffWorkOptions {
@@ -289,6 +459,9 @@ declare class PgBoss extends EventEmitter {
   on(event: "stopped", handler: () => void): this;
   off(event: "stopped", handler: () => void): this;
 
+  on(event: PgBoss.JobEventName, handler: (job: PgBoss.JobEvent) => void): this;
+  off(event: PgBoss.JobEventName, handler: (job: PgBoss.JobEvent) => void): this;
+
   start(): Promise<PgBoss>;
   stop(options?: PgBoss.StopOptions): Promise<void>;
 
@@ -309,6 +482,14 @@ declare class PgBoss extends EventEmitter {
   insert(jobs: PgBoss.JobInsert[]): Promise<void>;
   insert(jobs: PgBoss.JobInsert[], options: PgBoss.InsertOptions): Promise<void>;
 
+  sendAndWait<T = object>(name: string, data: object | null, options?: PgBoss.SendOptions | null, waitOptions?: PgBoss.WaitOptions): Promise<T>;
+
+  sendFlow(flow: PgBoss.FlowJob): Promise<string>;
+  sendFlow(flow: PgBoss.FlowJob, options: PgBoss.InsertOptions): Promise<string>;
+
+  redrive(name: string, options?: PgBoss.RedriveOptions): Promise<PgBoss.AffectedResult>;
+  rerun(name: string, id: string, options?: PgBoss.RerunOptions): Promise<string | null>;
+
   fetch<T>(name: string): Promise<PgBoss.Job<T>[]>;
   fetch<T>(name: string, options: PgBoss.FetchOptions & { includeMetadata: true }): Promise<PgBoss.JobWithMetadata<T>[]>;
   fetch<T>(name: string, options: PgBoss.FetchOptions): Promise<PgBoss.Job<T>[]>;
@@ -334,21 +515,38 @@ declare class PgBoss extends EventEmitter {
   resume(name: string, id: string, options?: PgBoss.ConnectionOptions): Promise<void>;
   resume(name: string, ids: string[], options?: PgBoss.ConnectionOptions): Promise<void>;
 
+  touch(name: string, id: string, options?: PgBoss.ConnectionOptions): Promise<PgBoss.CommandResponse>;
+  touch(name: string, ids: string[], options?: PgBoss.ConnectionOptions): Promise<PgBoss.CommandResponse>;
+
+  progress(name: string, id: string, value: any, options?: PgBoss.ConnectionOptions): Promise<void>;
+  progress(name: string, ids: string[], value: any, options?: PgBoss.ConnectionOptions): Promise<void>;
+
   deleteJob(name: string, id: string, options?: PgBoss.ConnectionOptions): Promise<void>;
   deleteJob(name: string, ids: string[], options?: PgBoss.ConnectionOptions): Promise<void>;
 
-  complete(name: string, id: string, options?: PgBoss.ConnectionOptions): Promise<void>;
-  complete(name: string, id: string, data: object, options?: PgBoss.ConnectionOptions): Promise<void>;
-  complete(name: string, ids: string[], options?: PgBoss.ConnectionOptions): Promise<void>;
+  complete(name: string, id: string, options?: PgBoss.CompletionOptions): Promise<void>;
+  complete(name: string, id: string, data: object, options?: PgBoss.CompletionOptions): Promise<void>;
+  complete(name: string, ids: string[], options?: PgBoss.CompletionOptions): Promise<void>;
+
+  fail(name: string, id: string, options?: PgBoss.CompletionOptions): Promise<void>;
+  fail(name: string, id: string, data: object, options?: PgBoss.CompletionOptions): Promise<void>;
+  fail(name: string, ids: string[], options?: PgBoss.CompletionOptions): Promise<void>;
 
-  fail(name: string, id: string, options?: PgBoss.ConnectionOptions): Promise<void>;
-  fail(name: string, id: string, data: object, options?: PgBoss.ConnectionOptions): Promise<void>;
-  fail(name: string, ids: string[], options?: PgBoss.ConnectionOptions): Promise<void>;
+  cancelJobs(name: string, filter: PgBoss.JobFilter, options?: PgBoss.ConnectionOptions): Promise<PgBoss.AffectedResult>;
+  resumeJobs(name: string, filter: PgBoss.JobFilter, options?: PgBoss.ConnectionOptions): Promise<PgBoss.AffectedResult>;
+  deleteJobs(name: string, filter: PgBoss.JobFilter, options?: PgBoss.ConnectionOptions): Promise<PgBoss.AffectedResult>;
+  completeJobs(name: string, filter: PgBoss.JobFilter, data?: object | null, options?: PgBoss.ConnectionOptions): Promise<PgBoss.AffectedResult>;
+  failJobs(name: string, filter: PgBoss.JobFilter, data?: object | null, options?: PgBoss.ConnectionOptions): Promise<PgBoss.AffectedResult>;
+  retryJobs(name: string, filter: PgBoss.JobFilter, options?: PgBoss.ConnectionOptions): Promise<PgBoss.AffectedResult>;
 
   getJobById<T>(name: string, id: string, options?: PgBoss.ConnectionOptions & { includeArchive: boolean }): Promise<PgBoss.JobWithMetadata<T> | null>;
+  getJobHistory(name: string, id: string, options?: PgBoss.ConnectionOptions): Promise<PgBoss.JobHistoryEntry[]>;
+  findJobs<T>(name: string, options?: PgBoss.FindJobsOptions): Promise<PgBoss.FindJobsResult<T>>;
 
   createQueue(name: string, options?: PgBoss.Queue): Promise<void>;
   updateQueue(name: string, options?: PgBoss.Queue): Promise<void>;
+  pauseQueue(name: string): Promise<void>;
+  resumeQueue(name: string): Promise<void>;
   deleteQueue(name: string): Promise<void>;
   purgeQueue(name: string): Promise<void>;
   getQueues(): Promise<PgBoss.QueueResult[]>;